@@ -10,4 +10,10 @@ module.exports = {
   globals: {
     shopify: "readonly"
   },
+  settings: {
+    // Extension tests run on vitest, so there is no jest install to detect.
+    jest: {
+      version: 28,
+    },
+  },
 };
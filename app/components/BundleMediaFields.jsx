@@ -0,0 +1,76 @@
+import { useEffect, useState } from "react";
+import { BlockStack, Checkbox, InlineStack, Text, Thumbnail } from "@shopify/polaris";
+
+export const DEFAULT_MEDIA = { productImages: true, collage: false };
+
+// Fetches the collage preview rather than linking to it, so the request
+// carries the session token App Bridge adds to fetch requests.
+function CollagePreview({ productIds }) {
+  const [preview, setPreview] = useState({ url: null, error: false });
+  const query = new URLSearchParams(productIds.map((productId) => ["productId", productId])).toString();
+
+  useEffect(() => {
+    const controller = new AbortController();
+    let objectUrl = null;
+    setPreview({ url: null, error: false });
+
+    fetch(`/app/bundle-collage?${query}`, { signal: controller.signal })
+      .then(async (response) => {
+        if (!response.ok) throw new Error(`Collage failed with status ${response.status}`);
+        objectUrl = URL.createObjectURL(await response.blob());
+        setPreview({ url: objectUrl, error: false });
+      })
+      .catch((error) => {
+        if (error.name !== "AbortError") setPreview({ url: null, error: true });
+      });
+
+    return () => {
+      controller.abort();
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [query]);
+
+  if (preview.error) {
+    return <Text as="p" tone="critical">Couldn't draw the collage from these products' images.</Text>;
+  }
+  if (!preview.url) {
+    return <Text as="p" tone="subdued">Drawing the collage…</Text>;
+  }
+  return <img src={preview.url} alt="Collage of the bundle's products" width={240} />;
+}
+
+// Chooses which images the bundle product gets when it's saved. `products`
+// are the selected products, each with the featured image the loader read;
+// without them, e.g. for a collection's products, nothing is previewed.
+export function BundleMediaFields({ media, onChange, products = [] }) {
+  const images = products.filter(({ image }) => image);
+
+  return (
+    <BlockStack gap="300">
+      <Text variant="headingSm" as="h3">Images</Text>
+      <Checkbox
+        label="Add each product's featured image"
+        checked={media.productImages}
+        onChange={(productImages) => onChange({ ...media, productImages })}
+      />
+      {media.productImages && images.length > 0 && (
+        <InlineStack gap="200">
+          {images.map(({ id, title, image }) => (
+            <Thumbnail key={id} source={image.url} alt={image.altText || title} size="small" />
+          ))}
+        </InlineStack>
+      )}
+      <Checkbox
+        label="Add a collage of the products as the main image"
+        checked={media.collage}
+        onChange={(collage) => onChange({ ...media, collage })}
+      />
+      {media.collage && images.length > 0 && (
+        <CollagePreview productIds={images.map(({ id }) => id)} />
+      )}
+      {(media.productImages || media.collage) && products.length === 0 && (
+        <Text as="p" tone="subdued">The images are taken from the products when the bundle is saved.</Text>
+      )}
+    </BlockStack>
+  );
+}
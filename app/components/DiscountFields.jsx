@@ -0,0 +1,164 @@
+import {
+  BlockStack,
+  Button,
+  Checkbox,
+  InlineError,
+  InlineStack,
+  Select,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import {
+  DISCOUNT_TYPES,
+  DISCOUNT_TYPE_OPTIONS,
+  PRICE_ROUNDING,
+  PRICE_ROUNDING_OPTIONS,
+  getCurrencySymbol,
+} from "../utils/pricing";
+
+export const DEFAULT_DISCOUNT = {
+  type: DISCOUNT_TYPES.PERCENTAGE,
+  value: "10",
+  tiers: [],
+  rounding: PRICE_ROUNDING.NONE,
+  neverBelowCost: false,
+};
+
+const DEFAULT_TIERS = [
+  { minQuantity: "3", percentage: "10" },
+  { minQuantity: "5", percentage: "20" },
+];
+
+const VALUE_FIELDS = {
+  [DISCOUNT_TYPES.PERCENTAGE]: { label: "Discount Percentage", suffix: "%" },
+  [DISCOUNT_TYPES.FIXED_AMOUNT]: { label: "Amount Off", isMoney: true },
+  [DISCOUNT_TYPES.FIXED_PRICE]: { label: "Bundle Price", isMoney: true },
+};
+
+// Turns a stored discount back into the string values the fields edit.
+export function discountToFields({ type, value, tiers, rounding, neverBelowCost }) {
+  return {
+    type,
+    value: String(value),
+    tiers: tiers.map(({ minQuantity, percentage }) => ({
+      minQuantity: String(minQuantity),
+      percentage: String(percentage),
+    })),
+    rounding,
+    neverBelowCost,
+  };
+}
+
+export function DiscountFields({
+  discount,
+  onChange,
+  error,
+  currencyCode,
+  locale,
+  typeOptions = DISCOUNT_TYPE_OPTIONS,
+  showPriceRules = true,
+}) {
+  const updateTier = (index, changes) =>
+    onChange({
+      ...discount,
+      tiers: discount.tiers.map((tier, i) => (i === index ? { ...tier, ...changes } : tier)),
+    });
+
+  return (
+    <BlockStack gap="300">
+      <Select
+        label="Discount Type"
+        options={typeOptions}
+        value={discount.type}
+        onChange={(type) =>
+          onChange({
+            ...discount,
+            type,
+            tiers: type === DISCOUNT_TYPES.TIERED && discount.tiers.length === 0 ? DEFAULT_TIERS : discount.tiers,
+          })
+        }
+      />
+
+      {discount.type === DISCOUNT_TYPES.TIERED ? (
+        <BlockStack gap="200">
+          <Text variant="bodyMd" as="p">
+            Discount applied when a customer buys at least this many bundles.
+          </Text>
+          {discount.tiers.map((tier, index) => (
+            <InlineStack key={index} gap="200" blockAlign="end" wrap={false}>
+              <TextField
+                label="Minimum bundles"
+                type="number"
+                min={1}
+                value={tier.minQuantity}
+                onChange={(minQuantity) => updateTier(index, { minQuantity })}
+                autoComplete="off"
+              />
+              <TextField
+                label="Discount"
+                type="number"
+                min={0}
+                max={100}
+                suffix="%"
+                value={tier.percentage}
+                onChange={(percentage) => updateTier(index, { percentage })}
+                autoComplete="off"
+              />
+              <Button
+                tone="critical"
+                onClick={() =>
+                  onChange({ ...discount, tiers: discount.tiers.filter((_, i) => i !== index) })
+                }
+              >
+                Remove
+              </Button>
+            </InlineStack>
+          ))}
+          {error && <InlineError message={error} fieldID="discountTiers" />}
+          <InlineStack>
+            <Button
+              onClick={() =>
+                onChange({ ...discount, tiers: [...discount.tiers, { minQuantity: "", percentage: "" }] })
+              }
+            >
+              Add tier
+            </Button>
+          </InlineStack>
+        </BlockStack>
+      ) : (
+        <TextField
+          label={VALUE_FIELDS[discount.type].label}
+          type="number"
+          min={0}
+          step={0.01}
+          prefix={
+            VALUE_FIELDS[discount.type].isMoney ? getCurrencySymbol(currencyCode, locale) : undefined
+          }
+          suffix={VALUE_FIELDS[discount.type].suffix}
+          value={discount.value}
+          onChange={(value) => onChange({ ...discount, value })}
+          error={error}
+          autoComplete="off"
+        />
+      )}
+
+      {showPriceRules && discount.type !== DISCOUNT_TYPES.FIXED_PRICE && (
+        <Select
+          label="Price Rounding"
+          options={PRICE_ROUNDING_OPTIONS}
+          value={discount.rounding}
+          onChange={(rounding) => onChange({ ...discount, rounding })}
+          helpText="Rounds the discounted price, never above the products' total"
+        />
+      )}
+      {showPriceRules && (
+        <Checkbox
+          label="Never price the bundle below the products' cost"
+          checked={discount.neverBelowCost}
+          onChange={(neverBelowCost) => onChange({ ...discount, neverBelowCost })}
+          helpText="Uses the cost per item set on each product"
+        />
+      )}
+    </BlockStack>
+  );
+}
@@ -0,0 +1,37 @@
+import { BlockStack, InlineStack, Text } from "@shopify/polaris";
+
+const CHART_HEIGHT = 160;
+
+// A bar chart of revenue per period, drawn with Polaris tokens.
+export function SalesChart({ series, periodDays, formatMoney }) {
+  const maxRevenue = Math.max(...series.map(({ revenue }) => revenue), 0);
+
+  return (
+    <BlockStack gap="200">
+      <div
+        style={{ display: "flex", alignItems: "flex-end", gap: 2, height: CHART_HEIGHT }}
+        role="img"
+        aria-label={`Bundle revenue per ${periodDays === 1 ? "day" : "week"}`}
+      >
+        {series.map(({ date, units, revenue }) => (
+          <div
+            key={date}
+            title={`${date}: ${formatMoney(revenue)} from ${units} ${units === 1 ? "bundle" : "bundles"}`}
+            style={{
+              flex: 1,
+              // Keep empty periods visible as a baseline.
+              height: Math.max(maxRevenue > 0 ? (revenue / maxRevenue) * CHART_HEIGHT : 0, 2),
+              background:
+                revenue > 0 ? "var(--p-color-bg-fill-brand)" : "var(--p-color-border-secondary)",
+              borderRadius: "var(--p-border-radius-100) var(--p-border-radius-100) 0 0",
+            }}
+          />
+        ))}
+      </div>
+      <InlineStack align="space-between">
+        <Text as="span" variant="bodySm" tone="subdued">{series[0]?.date}</Text>
+        <Text as="span" variant="bodySm" tone="subdued">{series[series.length - 1]?.date}</Text>
+      </InlineStack>
+    </BlockStack>
+  );
+}
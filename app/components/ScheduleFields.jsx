@@ -0,0 +1,35 @@
+import { InlineStack, TextField } from "@shopify/polaris";
+
+export const EMPTY_SCHEDULE = { startsAt: "", endsAt: "" };
+
+// Edits a schedule as datetime-local input values in the shop's time zone;
+// convert them with fromDateTimeInputValue before submitting.
+export function ScheduleFields({ schedule, onChange, errors = {} }) {
+  return (
+    <InlineStack gap="300" wrap={false}>
+      <TextField
+        label="Starts"
+        type="datetime-local"
+        value={schedule.startsAt}
+        onChange={(startsAt) => onChange({ ...schedule, startsAt })}
+        error={errors.startsAt}
+        helpText="Leave empty to start as soon as it's published"
+        clearButton
+        onClearButtonClick={() => onChange({ ...schedule, startsAt: "" })}
+        autoComplete="off"
+      />
+      <TextField
+        label="Ends"
+        type="datetime-local"
+        value={schedule.endsAt}
+        min={schedule.startsAt || undefined}
+        onChange={(endsAt) => onChange({ ...schedule, endsAt })}
+        error={errors.endsAt}
+        helpText="Leave empty to keep it running"
+        clearButton
+        onClearButtonClick={() => onChange({ ...schedule, endsAt: "" })}
+        autoComplete="off"
+      />
+    </InlineStack>
+  );
+}
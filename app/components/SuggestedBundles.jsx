@@ -0,0 +1,118 @@
+import { useEffect } from "react";
+import { useFetcher } from "@remix-run/react";
+import { BlockStack, Button, Card, DataTable, InlineStack, Text } from "@shopify/polaris";
+
+const IMPORT_RUNNING_STATUSES = ["CREATED", "RUNNING"];
+
+function formatPercent(share) {
+  return `${Math.round(share * 100)}%`;
+}
+
+function ImportStatus({ orderImport, locale, timeZone }) {
+  if (!orderImport) {
+    return (
+      <Text as="p" tone="subdued">
+        Import your order history to find products shoppers already buy together. New orders are
+        added as they come in.
+      </Text>
+    );
+  }
+  if (IMPORT_RUNNING_STATUSES.includes(orderImport.status)) {
+    return <Text as="p" tone="subdued">Shopify is exporting your orders for the app…</Text>;
+  }
+  if (orderImport.status === "COMPLETED") {
+    return (
+      <Text as="p" tone="subdued">
+        Order history imported{" "}
+        {new Date(orderImport.completedAt).toLocaleDateString(locale, { timeZone })}. Large
+        histories take a few minutes to appear.
+      </Text>
+    );
+  }
+  return (
+    <Text as="p" tone="critical">
+      The last order history import ended {orderImport.status.toLowerCase()}
+      {orderImport.errorCode ? ` (${orderImport.errorCode})` : ""}.
+    </Text>
+  );
+}
+
+// Products the shop's orders show are often bought together, each set with a
+// button to start a bundle of them. Suggestions load after the page, as
+// finding them reads every stored order, and reload after any action, like
+// starting an import or creating a bundle. Dates are shown in the shop's
+// locale and time zone.
+export function SuggestedBundles({ onUse, locale, timeZone }) {
+  const suggestionsFetcher = useFetcher();
+  const importFetcher = useFetcher();
+  const { load } = suggestionsFetcher;
+
+  useEffect(() => {
+    load("/app/bundle-suggestions");
+  }, [load]);
+
+  const data = suggestionsFetcher.data;
+  const isImporting =
+    importFetcher.state !== "idle" ||
+    IMPORT_RUNNING_STATUSES.includes(data?.orderImport?.status);
+
+  let content;
+  if (!data) {
+    content = <Text as="p" tone="subdued">Looking for products that sell together…</Text>;
+  } else if (data.error) {
+    content = <Text as="p" tone="critical">Couldn't load suggestions: {data.error}</Text>;
+  } else if (data.suggestions.length === 0) {
+    content = (
+      <Text as="p" tone="subdued">
+        No suggestions yet from {data.orderCount} orders. Products need to be bought together in a
+        few orders before they're suggested.
+      </Text>
+    );
+  } else {
+    content = (
+      <DataTable
+        columnContentTypes={["text", "numeric", "numeric", "numeric", "numeric", "text"]}
+        headings={["Products", "Orders", "Support", "Confidence", "Lift", "Action"]}
+        rows={data.suggestions.map((suggestion) => [
+          suggestion.products.map(({ title }) => title).join(" + "),
+          suggestion.orders,
+          formatPercent(suggestion.support),
+          formatPercent(suggestion.confidence),
+          `${suggestion.lift.toFixed(1)}×`,
+          <Button key={suggestion.productIds.join()} onClick={() => onUse(suggestion)}>
+            Create Bundle
+          </Button>,
+        ])}
+      />
+    );
+  }
+
+  return (
+    <Card>
+      <BlockStack gap="400">
+        <InlineStack align="space-between" blockAlign="center">
+          <Text variant="headingMd" as="h2">Suggested Bundles</Text>
+          <Button
+            onClick={() => importFetcher.submit({}, { method: "post", action: "/app/bundle-suggestions" })}
+            loading={importFetcher.state !== "idle"}
+            disabled={isImporting}
+          >
+            Import order history
+          </Button>
+        </InlineStack>
+        {importFetcher.data?.error && (
+          <Text as="p" tone="critical">Couldn't import order history: {importFetcher.data.error}</Text>
+        )}
+        {data && !data.error && (
+          <ImportStatus orderImport={data.orderImport} locale={locale} timeZone={timeZone} />
+        )}
+        {content}
+        <Text as="p" variant="bodySm" tone="subdued">
+          Support is the share of orders with all the products, confidence how often orders with
+          all but one of them also have the last, and lift how many times likelier that is than
+          the last product selling on its own.
+        </Text>
+      </BlockStack>
+    </Card>
+  );
+}
@@ -4,9 +4,14 @@ import { RemixServer } from "@remix-run/react";
 import { createReadableStreamFromReadable } from "@remix-run/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
+import { startBundleScheduler } from "./models/BundleScheduler.server";
+import { startOrderImportRetries } from "./models/OrderHistory.server";
 
 export const streamTimeout = 5000;
 
+startBundleScheduler();
+startOrderImportRetries();
+
 export default async function handleRequest(
   request,
   responseStatusCode,
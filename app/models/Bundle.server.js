@@ -0,0 +1,1529 @@
+import db from "../db.server";
+import {
+  DISCOUNT_TYPES,
+  PRICE_ROUNDING,
+  calculateBundlePrice,
+  getSubtotal,
+  normalizeDiscount,
+  roundMoney,
+} from "../utils/pricing";
+import {
+  BUNDLE_METAFIELD_VERSION,
+  BUNDLE_TYPES,
+  MAX_PICK_COUNT,
+  MAX_POOL_PRODUCTS,
+  MIX_AND_MATCH_DISCOUNT_TYPES,
+} from "../utils/bundleTypes";
+import { BUNDLE_STATUSES, getScheduledStatus } from "../utils/bundleSchedule";
+import { chunk, fetchNodes, UserErrorsError } from "../utils/graphql.server";
+
+// The app-owned metafield holding the bundle definition. `$app` resolves to
+// the app's reserved namespace, which only the app can write to.
+export const BUNDLE_METAFIELD_NAMESPACE = "$app";
+export const BUNDLE_METAFIELD_KEY = "bundle";
+
+// Where bundles were defined before the app owned its metafield. Read until
+// migrateLegacyBundleMetafields has moved a shop's bundles over.
+export const LEGACY_BUNDLE_METAFIELD_NAMESPACE = "custom";
+export const LEGACY_BUNDLE_METAFIELD_KEY = "bundle_products";
+
+// Rebuilds the discount stored across the discount columns into the shape
+// the pricing module expects.
+function withDiscount(bundle) {
+  if (!bundle) return bundle;
+
+  return {
+    ...bundle,
+    discount: normalizeDiscount({
+      type: bundle.discountType,
+      value: bundle.discountValue,
+      tiers: bundle.discountTiers ? JSON.parse(bundle.discountTiers) : [],
+      rounding: bundle.priceRounding,
+      neverBelowCost: bundle.neverBelowCost,
+    }),
+  };
+}
+
+// How many sales were recorded for the bundle, as `saleCount`. Bundles with
+// sales are archived rather than deleted, so their history stays reportable.
+const SALE_COUNT = { _count: { select: { sales: true } } };
+
+function withSaleCount(bundle) {
+  if (!bundle) return bundle;
+
+  const { _count, ...rest } = bundle;
+  return { ...rest, saleCount: _count.sales };
+}
+
+export async function getBundles(shop) {
+  const bundles = await db.bundle.findMany({
+    where: { shop },
+    include: { components: { orderBy: { position: "asc" } } },
+    orderBy: { createdAt: "desc" },
+  });
+
+  return bundles.map(withDiscount);
+}
+
+export const BUNDLE_SORT_OPTIONS = {
+  newest: { createdAt: "desc" },
+  oldest: { createdAt: "asc" },
+  "title-asc": { title: "asc" },
+  "title-desc": { title: "desc" },
+  updated: { updatedAt: "desc" },
+};
+
+// Returns one page of the shop's bundles, skipping bundles that have lost all
+// their components. `needsAttention` limits it to bundles flagged as broken.
+export async function getBundlePage(
+  shop,
+  { page = 1, pageSize = 20, sort = "newest", needsAttention = false } = {},
+) {
+  const where = {
+    shop,
+    components: { some: {} },
+    ...(needsAttention ? { attentionReason: { not: null } } : {}),
+  };
+  const [bundles, total] = await Promise.all([
+    db.bundle.findMany({
+      where,
+      include: { components: { orderBy: { position: "asc" } }, ...SALE_COUNT },
+      orderBy: BUNDLE_SORT_OPTIONS[sort] ?? BUNDLE_SORT_OPTIONS.newest,
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+    }),
+    db.bundle.count({ where }),
+  ]);
+
+  return {
+    bundles: bundles.map((bundle) => withDiscount(withSaleCount(bundle))),
+    total,
+    pageCount: Math.max(Math.ceil(total / pageSize), 1),
+  };
+}
+
+export async function countBundlesNeedingAttention(shop) {
+  return db.bundle.count({ where: { shop, attentionReason: { not: null } } });
+}
+
+export async function getBundle(id, shop) {
+  const bundle = await db.bundle.findFirst({
+    where: { id: Number(id), shop },
+    include: { components: { orderBy: { position: "asc" } }, ...SALE_COUNT },
+  });
+
+  return withDiscount(withSaleCount(bundle));
+}
+
+// Reads through `tx` when called inside a transaction.
+export async function getBundlesByProductIds(shop, productIds, tx = db) {
+  const bundles = await tx.bundle.findMany({
+    where: { shop, productId: { in: productIds } },
+    include: { components: { orderBy: { position: "asc" } } },
+  });
+
+  return bundles.map(withDiscount);
+}
+
+// Finds the bundles that include any of the given component products or
+// variants.
+export async function getBundlesWithComponents(shop, { productIds = [], variantIds = [] }) {
+  const bundles = await db.bundle.findMany({
+    where: {
+      shop,
+      components: {
+        some: {
+          OR: [{ productId: { in: productIds } }, { variantId: { in: variantIds } }],
+        },
+      },
+    },
+    include: { components: { orderBy: { position: "asc" } } },
+  });
+
+  return bundles.map(withDiscount);
+}
+
+// Creates or replaces the local copy of a bundle. The bundle product and its
+// metafield in Shopify remain the source of truth; this row mirrors them.
+export async function saveBundle(
+  shop,
+  {
+    productId,
+    title,
+    description,
+    type = BUNDLE_TYPES.FIXED,
+    pickCount = null,
+    collectionId = null,
+    discount,
+    components,
+    status,
+    publishedAt,
+    startsAt,
+    endsAt,
+    attentionReason,
+  },
+) {
+  const {
+    type: discountType,
+    value,
+    tiers,
+    rounding,
+    neverBelowCost,
+  } = normalizeDiscount(discount);
+  // The status, publishing, schedule and attention reason are left as they
+  // are when not given.
+  const data = {
+    title,
+    description: description || null,
+    type,
+    pickCount: type === BUNDLE_TYPES.MIX_AND_MATCH ? pickCount : null,
+    collectionId: type === BUNDLE_TYPES.MIX_AND_MATCH ? collectionId || null : null,
+    discountType,
+    discountValue: value,
+    discountTiers: tiers.length > 0 ? JSON.stringify(tiers) : null,
+    priceRounding: rounding,
+    neverBelowCost,
+    status,
+    publishedAt,
+    startsAt: startsAt === undefined ? undefined : toDate(startsAt),
+    endsAt: endsAt === undefined ? undefined : toDate(endsAt),
+    attentionReason,
+  };
+  const componentRows = components.map((component, position) => ({
+    productId: component.productId,
+    variantId: component.variantId,
+    title: component.title,
+    variantTitle: component.variantTitle,
+    price: component.price,
+    quantity: component.quantity,
+    position,
+  }));
+
+  const saved = await db.$transaction(async (tx) => {
+    const bundle = await tx.bundle.upsert({
+      where: { shop_productId: { shop, productId } },
+      create: { shop, productId, ...data },
+      update: data,
+    });
+
+    await tx.bundleComponent.deleteMany({ where: { bundleId: bundle.id } });
+    await tx.bundleComponent.createMany({
+      data: componentRows.map((row) => ({ ...row, bundleId: bundle.id })),
+    });
+
+    return tx.bundle.findUnique({
+      where: { id: bundle.id },
+      include: { components: { orderBy: { position: "asc" } } },
+    });
+  });
+
+  return withDiscount(saved);
+}
+
+const NO_COMPONENTS_ERROR = {
+  field: ["components"],
+  message: "None of the selected products are available",
+};
+
+// Resolves the submitted components of a fixed bundle, or the pool of a
+// mix-and-match bundle, to what is stored locally and in the metafield.
+async function resolveBundleContents(client, bundleData) {
+  const components =
+    bundleData.type === BUNDLE_TYPES.MIX_AND_MATCH
+      ? await resolvePool(client, bundleData)
+      : await resolveComponents(client, bundleData.components);
+  if (components.length === 0) {
+    throw new UserErrorsError([NO_COMPONENTS_ERROR]);
+  }
+
+  return components;
+}
+
+function toDate(value) {
+  return value ? new Date(value) : null;
+}
+
+// The fields saveBundle needs besides the product ID and status.
+function bundleRecord(bundleData, components) {
+  return {
+    title: bundleData.name,
+    description: bundleData.description,
+    type: bundleData.type,
+    pickCount: bundleData.pickCount,
+    collectionId: bundleData.collectionId,
+    discount: bundleData.discount,
+    components,
+    startsAt: bundleData.startsAt,
+    endsAt: bundleData.endsAt,
+  };
+}
+
+// Whether bundleData sets a different schedule than the bundle has. Data
+// without schedule fields, like a CSV import, keeps the current schedule.
+function scheduleChanged(bundle, { startsAt, endsAt }) {
+  const changed = (current, next) =>
+    next !== undefined && toDate(current)?.getTime() !== toDate(next)?.getTime();
+
+  return changed(bundle.startsAt, startsAt) || changed(bundle.endsAt, endsAt);
+}
+
+function bundleMetafieldInput(bundleData) {
+  return {
+    namespace: BUNDLE_METAFIELD_NAMESPACE,
+    key: BUNDLE_METAFIELD_KEY,
+    type: "json",
+    value: serializeBundleMetafield(bundleData),
+  };
+}
+
+// Lists a fixed bundle product at the bundle's discounted price, rounded as
+// the cart transform charges it, with the components' total as compare-at
+// price while there is a saving. A mix-and-match price depends on the picks,
+// which the cart transform prices itself, so those are listed at the lowest
+// price a full box can cost: `pickCount` of the cheapest pool product.
+// Variants without a SKU get one generated from the product ID; SKUs the
+// merchant set are kept.
+async function syncBundleVariant(client, product, { type, pickCount, discount }, components) {
+  const variant = product.variants.nodes[0];
+  if (!variant) return;
+
+  const priced =
+    type === BUNDLE_TYPES.MIX_AND_MATCH
+      ? [{ price: Math.min(...components.map(({ price }) => price)), quantity: pickCount }]
+      : components;
+  const { subtotal, total } = calculateBundlePrice(priced, discount);
+  const input = {
+    id: variant.id,
+    price: total.toFixed(2),
+    compareAtPrice: total < subtotal ? subtotal.toFixed(2) : null,
+  };
+  if (!variant.sku) {
+    input.inventoryItem = { sku: `BUNDLE-${product.id.split("/").pop()}` };
+  }
+
+  await client.mutate(
+    `#graphql
+    mutation syncBundleVariant($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+      productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+        productVariants {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    {
+      variables: {
+        productId: product.id,
+        variants: [input],
+      },
+    },
+  );
+}
+
+// Creates the bundle product in Shopify as a draft and mirrors it locally; it
+// goes on sale once published. Throws UserErrorsError when Shopify rejects
+// the product.
+export async function createBundle(shop, client, bundleData) {
+  const components = await resolveBundleContents(client, bundleData);
+
+  const data = await client.mutate(
+    `#graphql
+    mutation createProduct($input: ProductInput!) {
+      productCreate(input: $input) {
+        product {
+          id
+          title
+          metafield(namespace: "$app", key: "bundle") {
+            value
+          }
+          variants(first: 1) {
+            nodes {
+              id
+              sku
+            }
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    {
+      variables: {
+        input: {
+          title: bundleData.name,
+          descriptionHtml: bundleData.description,
+          tags: ["bundle"],
+          status: BUNDLE_STATUSES.DRAFT,
+          metafields: [bundleMetafieldInput({ ...bundleData, components })],
+        },
+      },
+    },
+  );
+  const { product } = data.productCreate;
+
+  const bundle = await saveBundle(shop, {
+    productId: product.id,
+    ...bundleRecord(bundleData, components),
+    status: BUNDLE_STATUSES.DRAFT,
+    publishedAt: null,
+  });
+  await syncBundleVariant(client, product, bundleData, components);
+
+  return { bundle, product };
+}
+
+// Updates the bundle product and its local copy. A changed schedule moves a
+// published bundle to the status the new schedule calls for; drafts and
+// archived bundles keep theirs.
+export async function updateBundle(shop, client, bundle, bundleData) {
+  const components = await resolveBundleContents(client, bundleData);
+  const isLive = bundle.publishedAt && bundle.status !== BUNDLE_STATUSES.ARCHIVED;
+  const status =
+    isLive && scheduleChanged(bundle, bundleData)
+      ? getScheduledStatus({
+          startsAt: bundleData.startsAt === undefined ? bundle.startsAt : bundleData.startsAt,
+          endsAt: bundleData.endsAt === undefined ? bundle.endsAt : bundleData.endsAt,
+        })
+      : undefined;
+
+  const data = await client.mutate(
+    `#graphql
+    mutation updateProduct($product: ProductUpdateInput!) {
+      productUpdate(product: $product) {
+        product {
+          id
+          variants(first: 1) {
+            nodes {
+              id
+              sku
+            }
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    {
+      variables: {
+        product: {
+          id: bundle.productId,
+          title: bundleData.name,
+          descriptionHtml: bundleData.description,
+          status,
+          metafields: [bundleMetafieldInput({ ...bundleData, components })],
+        },
+      },
+    },
+  );
+
+  // Saving the bundle again means the merchant has dealt with whatever
+  // flagged it.
+  const updated = await saveBundle(shop, {
+    productId: bundle.productId,
+    ...bundleRecord(bundleData, components),
+    status,
+    attentionReason: null,
+  });
+  await syncBundleVariant(client, data.productUpdate.product, bundleData, components);
+
+  return { bundle: updated };
+}
+
+// Moves the bundle product to `status`, e.g. when its schedule starts or ends.
+// `changes` are other local fields to update along with it.
+export async function setBundleStatus(shop, client, bundle, status, changes = {}) {
+  await client.mutate(
+    `#graphql
+    mutation setBundleStatus($product: ProductUpdateInput!) {
+      productUpdate(product: $product) {
+        product {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    { variables: { product: { id: bundle.productId, status } } },
+  );
+
+  await db.bundle.updateMany({ where: { id: bundle.id, shop }, data: { status, ...changes } });
+}
+
+export async function getPublications(client) {
+  const data = await client.query(
+    `#graphql
+    query getPublications {
+      publications(first: 50) {
+        nodes {
+          id
+          name
+        }
+      }
+    }`,
+  );
+
+  return data.publications.nodes;
+}
+
+// Publishes the bundle product to the given sales channels and puts it on
+// sale, or leaves it a draft for the scheduler when its start is still ahead.
+export async function publishBundle(shop, client, bundle, publicationIds) {
+  const status = getScheduledStatus(bundle);
+
+  await client.mutate(
+    `#graphql
+    mutation publishBundle($id: ID!, $input: [PublicationInput!]!, $product: ProductUpdateInput!) {
+      publishablePublish(id: $id, input: $input) {
+        userErrors {
+          field
+          message
+        }
+      }
+      productUpdate(product: $product) {
+        product {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    {
+      variables: {
+        id: bundle.productId,
+        input: publicationIds.map((publicationId) => ({ publicationId })),
+        product: { id: bundle.productId, status },
+      },
+    },
+  );
+
+  await db.bundle.updateMany({
+    where: { id: bundle.id, shop },
+    data: { status, publishedAt: new Date() },
+  });
+
+  return status;
+}
+
+// Archiving takes the bundle off sale but keeps it, and its sales history,
+// unlike deleting it.
+export async function archiveBundle(shop, client, bundle) {
+  await setBundleStatus(shop, client, bundle, BUNDLE_STATUSES.ARCHIVED);
+}
+
+// Brings an archived bundle back as a draft, to be published again.
+export async function unarchiveBundle(shop, client, bundle) {
+  await setBundleStatus(shop, client, bundle, BUNDLE_STATUSES.DRAFT, { publishedAt: null });
+}
+
+const PREVIEW_URLS_QUERY = `#graphql
+  query getBundlePreviewUrls($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on Product {
+        id
+        onlineStorePreviewUrl
+      }
+    }
+  }`;
+
+// The online store preview link of each bundle product, which also works for
+// drafts. Keyed by product ID.
+export async function getPreviewUrls(client, bundles) {
+  const productsById = await fetchNodes(
+    client,
+    PREVIEW_URLS_QUERY,
+    bundles.map(({ productId }) => productId),
+  );
+
+  return Object.fromEntries(
+    Object.values(productsById).map(({ id, onlineStorePreviewUrl }) => [id, onlineStorePreviewUrl]),
+  );
+}
+
+// Published bundles whose product should change status at `now`: those whose
+// start has passed while still drafts and those whose end has passed, across
+// every shop. Drafts nobody published are left alone.
+export async function getBundlesDueForSchedule(now = new Date()) {
+  return db.bundle.findMany({
+    where: {
+      publishedAt: { not: null },
+      OR: [
+        { status: BUNDLE_STATUSES.DRAFT, startsAt: { lte: now } },
+        { status: { not: BUNDLE_STATUSES.ARCHIVED }, endsAt: { lte: now } },
+      ],
+    },
+    select: { id: true, shop: true, productId: true, status: true, startsAt: true, endsAt: true },
+    orderBy: { shop: "asc" },
+  });
+}
+
+export async function duplicateBundle(shop, client, bundle) {
+  return createBundle(shop, client, {
+    name: `Copy of ${bundle.title}`,
+    description: bundle.description,
+    type: bundle.type,
+    pickCount: bundle.pickCount,
+    collectionId: bundle.collectionId,
+    productIds: bundle.components.map(({ productId }) => productId),
+    components: bundle.components.map(({ productId, variantId, quantity }) => ({
+      productId,
+      variantId,
+      quantity,
+    })),
+    discount: bundle.discount,
+  });
+}
+
+const BUNDLE_METAFIELDS_QUERY = `#graphql
+  query getBundleMetafields($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on Product {
+        id
+        metafield(namespace: "$app", key: "bundle") {
+          value
+        }
+        variants(first: 1) {
+          nodes {
+            id
+            sku
+          }
+        }
+      }
+    }
+  }`;
+
+function isSameJson(a, b) {
+  try {
+    return JSON.stringify(JSON.parse(a)) === JSON.stringify(JSON.parse(b));
+  } catch {
+    return false;
+  }
+}
+
+// Why a bundle can no longer be sold as saved, given its components as they
+// are now in Shopify, or null when it still can. A fixed bundle needs every
+// component; a mix-and-match pool needs at least one product.
+function getBundleIssue(bundle, components) {
+  if (bundle.type === BUNDLE_TYPES.MIX_AND_MATCH) {
+    return components.length === 0 ? "None of the eligible products are available anymore" : null;
+  }
+
+  const missing = bundle.components.filter(
+    ({ variantId }) => !components.some((component) => component.variantId === variantId),
+  );
+  if (missing.length > 0) {
+    const titles = missing.map(({ title, variantTitle }) =>
+      variantTitle && variantTitle !== "Default Title" ? `${title} – ${variantTitle}` : title,
+    );
+    return `${titles.join(", ")} ${missing.length === 1 ? "is" : "are"} no longer available`;
+  }
+
+  const { type, value } = bundle.discount;
+  const subtotal = getSubtotal(components);
+  if ((type === DISCOUNT_TYPES.FIXED_AMOUNT || type === DISCOUNT_TYPES.FIXED_PRICE) && value >= subtotal) {
+    return `The discount is more than the products now cost (${subtotal.toFixed(2)})`;
+  }
+
+  return null;
+}
+
+const VARIANT_COSTS_QUERY = `#graphql
+  query getVariantCosts($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        id
+        inventoryItem {
+          unitCost {
+            amount
+          }
+        }
+      }
+    }
+  }`;
+
+// Why a bundle that must never sell below cost can't keep its discount at
+// its components' prices as they are now, or null when it can.
+function getCostIssue(bundle, components, variantsById) {
+  if (!bundle.discount.neverBelowCost) return null;
+
+  const error = checkBundleCost(
+    components.map((component) => ({
+      ...component,
+      cost: parseFloat(variantsById[component.variantId]?.inventoryItem?.unitCost?.amount ?? 0),
+    })),
+    bundle.discount,
+  );
+  return error?.discount ?? null;
+}
+
+// Flags a broken bundle and takes it off sale. A published bundle goes back
+// to being a draft, so it has to be published again once it's fixed.
+async function flagBundle(shop, client, bundle, reason) {
+  if (bundle.publishedAt) {
+    await setBundleStatus(shop, client, bundle, BUNDLE_STATUSES.DRAFT, {
+      publishedAt: null,
+      attentionReason: reason,
+    });
+  } else {
+    await db.bundle.updateMany({ where: { id: bundle.id, shop }, data: { attentionReason: reason } });
+  }
+}
+
+// Re-reads the components of every bundle using the product after it changed
+// or was deleted in Shopify. Bundles that still work get their saved titles,
+// prices and pool variants updated, and their product repriced; broken ones,
+// including ones the new prices would sell below cost when they mustn't, are
+// flagged and taken off sale. Archived bundles are left alone. Returns the
+// bundles flagged.
+export async function refreshBundlesWithProduct(shop, client, productId) {
+  const bundles = (await getBundlesWithComponents(shop, { productIds: [productId] })).filter(
+    ({ status }) => status !== BUNDLE_STATUSES.ARCHIVED,
+  );
+  if (bundles.length === 0) return [];
+
+  // A collection's products were read when the bundle was saved, so its pool
+  // is refreshed from the saved products rather than the collection.
+  const fixedBundles = bundles.filter(({ type }) => type !== BUNDLE_TYPES.MIX_AND_MATCH);
+  const mixAndMatchBundles = bundles.filter(({ type }) => type === BUNDLE_TYPES.MIX_AND_MATCH);
+  const [componentSets, poolSets, productsById] = await Promise.all([
+    resolveComponentSets(client, fixedBundles.map(({ components }) => components)),
+    resolvePoolSets(
+      client,
+      mixAndMatchBundles.map(({ components }) => components.map(({ productId }) => productId)),
+    ),
+    fetchNodes(
+      client,
+      BUNDLE_METAFIELDS_QUERY,
+      bundles.map(({ productId }) => productId),
+    ),
+  ]);
+  // Costs are only read for the bundles that must never sell below them.
+  const costsById = await fetchNodes(
+    client,
+    VARIANT_COSTS_QUERY,
+    fixedBundles.flatMap((bundle, index) =>
+      bundle.discount.neverBelowCost ? componentSets[index].map(({ variantId }) => variantId) : [],
+    ),
+  );
+  const refreshed = [
+    ...fixedBundles.map((bundle, index) => ({ bundle, components: componentSets[index] })),
+    ...mixAndMatchBundles.map((bundle, index) => ({ bundle, components: poolSets[index] })),
+  ];
+
+  const flagged = [];
+  for (const { bundle, components } of refreshed) {
+    const issue =
+      getBundleIssue(bundle, components) ?? getCostIssue(bundle, components, costsById);
+    if (issue) {
+      await flagBundle(shop, client, bundle, issue);
+      flagged.push({ ...bundle, attentionReason: issue });
+      continue;
+    }
+
+    const bundleData = {
+      name: bundle.title,
+      description: bundle.description,
+      type: bundle.type,
+      pickCount: bundle.pickCount,
+      collectionId: bundle.collectionId,
+      discount: bundle.discount,
+    };
+    const metafield = bundleMetafieldInput({ ...bundleData, components });
+
+    // products/update fires for changes that don't touch the bundle, like
+    // inventory, so only write when the definition actually changed.
+    const product = productsById[bundle.productId];
+    if (isSameJson(product?.metafield?.value, metafield.value)) continue;
+
+    await client.mutate(
+      `#graphql
+      mutation setBundleMetafield($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+      { variables: { metafields: [{ ownerId: bundle.productId, ...metafield }] } },
+    );
+    await saveBundle(shop, {
+      productId: bundle.productId,
+      ...bundleRecord(bundleData, components),
+    });
+    if (product) await syncBundleVariant(client, product, bundleData, components);
+  }
+
+  return flagged;
+}
+
+// Deleting the product also removes its metafield, so only the local row is
+// left to clean up.
+export async function deleteBundle(shop, client, bundle) {
+  await client.mutate(
+    `#graphql
+    mutation deleteProduct($input: ProductDeleteInput!) {
+      productDelete(input: $input) {
+        deletedProductId
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    { variables: { input: { id: bundle.productId } } },
+  );
+
+  await db.bundle.deleteMany({ where: { id: bundle.id, shop } });
+}
+
+export const MAX_BUNDLE_NAME_LENGTH = 255;
+export const MAX_COMPONENT_QUANTITY = 100;
+export const MAX_DISCOUNT_TIERS = 10;
+
+const PRODUCT_GID = /^gid:\/\/shopify\/Product\/\d+$/;
+const VARIANT_GID = /^gid:\/\/shopify\/ProductVariant\/\d+$/;
+const COLLECTION_GID = /^gid:\/\/shopify\/Collection\/\d+$/;
+
+function isNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function validateDiscount(discount) {
+  if (!discount || typeof discount !== "object") return "Choose a discount";
+
+  const { type, value, tiers, rounding, neverBelowCost } = discount;
+  if (rounding !== undefined && !Object.values(PRICE_ROUNDING).includes(rounding)) {
+    return "Choose a price rounding rule";
+  }
+  if (neverBelowCost !== undefined && typeof neverBelowCost !== "boolean") {
+    return "Choose whether prices may go below cost";
+  }
+
+  switch (type) {
+    case DISCOUNT_TYPES.PERCENTAGE:
+      if (!isNumber(value) || value <= 0 || value > 100) {
+        return "Percentage must be more than 0 and at most 100";
+      }
+      return null;
+    case DISCOUNT_TYPES.FIXED_AMOUNT:
+    case DISCOUNT_TYPES.FIXED_PRICE:
+      if (!isNumber(value) || value <= 0) return "Amount must be more than 0";
+      return null;
+    case DISCOUNT_TYPES.TIERED: {
+      if (!Array.isArray(tiers) || tiers.length === 0) return "Add at least one tier";
+      if (tiers.length > MAX_DISCOUNT_TIERS) return `Use at most ${MAX_DISCOUNT_TIERS} tiers`;
+
+      for (const { minQuantity, percentage } of tiers) {
+        if (!Number.isInteger(minQuantity) || minQuantity < 1) {
+          return "Each tier needs a minimum of at least 1 bundle";
+        }
+        if (!isNumber(percentage) || percentage <= 0 || percentage > 100) {
+          return "Each tier percentage must be more than 0 and at most 100";
+        }
+      }
+      if (new Set(tiers.map(({ minQuantity }) => minQuantity)).size !== tiers.length) {
+        return "Each tier needs a different minimum";
+      }
+      return null;
+    }
+    default:
+      return "Choose a discount type";
+  }
+}
+
+// Checks the shape of submitted bundle data without calling Shopify. Returns
+// an object of field errors, or undefined when the data is valid.
+export function validateBundle(data) {
+  const errors = {};
+
+  if (!data || typeof data !== "object") {
+    return { form: "Bundle data is missing or malformed" };
+  }
+
+  const name = typeof data.name === "string" ? data.name.trim() : "";
+  if (!name) {
+    errors.name = "Name is required";
+  } else if (name.length > MAX_BUNDLE_NAME_LENGTH) {
+    errors.name = `Name must be at most ${MAX_BUNDLE_NAME_LENGTH} characters`;
+  }
+
+  if (data.description != null && typeof data.description !== "string") {
+    errors.description = "Description must be text";
+  }
+
+  const type = data.type ?? BUNDLE_TYPES.FIXED;
+  if (!Object.values(BUNDLE_TYPES).includes(type)) {
+    return { type: "Choose a bundle type" };
+  }
+
+  const contentErrors =
+    type === BUNDLE_TYPES.MIX_AND_MATCH ? validatePool(data) : validateComponents(data);
+  Object.assign(errors, contentErrors);
+
+  Object.assign(errors, validateSchedule(data));
+
+  if (
+    data.media != null &&
+    (typeof data.media !== "object" ||
+      Object.values(data.media).some((value) => typeof value !== "boolean"))
+  ) {
+    errors.media = "Choose which images to add";
+  }
+
+  const discountError = validateDiscount(data.discount);
+  if (discountError) {
+    errors.discount = discountError;
+  } else if (
+    type === BUNDLE_TYPES.MIX_AND_MATCH &&
+    !MIX_AND_MATCH_DISCOUNT_TYPES.includes(data.discount.type)
+  ) {
+    errors.discount = "Mix-and-match bundles support percentage and quantity tier discounts";
+  } else if (
+    type === BUNDLE_TYPES.MIX_AND_MATCH &&
+    ((data.discount.rounding ?? PRICE_ROUNDING.NONE) !== PRICE_ROUNDING.NONE ||
+      data.discount.neverBelowCost)
+  ) {
+    // The price depends on the shopper's picks, which checkout discounts by
+    // percentage.
+    errors.discount = "Mix-and-match prices can't be rounded or checked against cost";
+  }
+
+  if (Object.keys(errors).length) return errors;
+}
+
+function isTimestamp(value) {
+  return typeof value === "string" && !Number.isNaN(Date.parse(value));
+}
+
+// Either end of the schedule may be left out.
+function validateSchedule({ startsAt, endsAt }) {
+  const errors = {};
+
+  if (startsAt != null && !isTimestamp(startsAt)) {
+    errors.startsAt = "Enter a valid start date";
+  }
+  if (endsAt != null && !isTimestamp(endsAt)) {
+    errors.endsAt = "Enter a valid end date";
+  } else if (startsAt && endsAt && !errors.startsAt && Date.parse(endsAt) <= Date.parse(startsAt)) {
+    errors.endsAt = "The end must be after the start";
+  }
+
+  return errors;
+}
+
+function validateComponents(data) {
+  const errors = {};
+  const components = Array.isArray(data.components) ? data.components : [];
+  const malformed = components.some(
+    (component) =>
+      !PRODUCT_GID.test(component?.productId) ||
+      !VARIANT_GID.test(component?.variantId) ||
+      !Number.isInteger(component?.quantity) ||
+      component.quantity < 1 ||
+      component.quantity > MAX_COMPONENT_QUANTITY,
+  );
+  const variantIds = components.map((component) => component?.variantId);
+  const totalItems = components.reduce((sum, component) => sum + (component?.quantity || 0), 0);
+
+  if (malformed) {
+    errors.components = `Each product needs a variant and a quantity from 1 to ${MAX_COMPONENT_QUANTITY}`;
+  } else if (new Set(variantIds).size !== variantIds.length) {
+    errors.components = "Each variant can only be added once; change its quantity instead";
+  } else if (totalItems < 2) {
+    // A bundle can be a multipack of one variant, so count items rather than
+    // distinct components.
+    errors.components = "Add at least 2 items to the bundle";
+  }
+
+  return errors;
+}
+
+// A mix-and-match pool is either a collection or a list of products.
+function validatePool(data) {
+  const errors = {};
+
+  if (!Number.isInteger(data.pickCount) || data.pickCount < 2 || data.pickCount > MAX_PICK_COUNT) {
+    errors.pickCount = `Shoppers must pick from 2 to ${MAX_PICK_COUNT} items`;
+  }
+
+  if (data.collectionId) {
+    if (!COLLECTION_GID.test(data.collectionId)) errors.components = "Choose a collection";
+    return errors;
+  }
+
+  const productIds = Array.isArray(data.productIds) ? data.productIds : [];
+  if (productIds.length === 0) {
+    errors.components = "Add at least one eligible product or choose a collection";
+  } else if (productIds.length > MAX_POOL_PRODUCTS) {
+    errors.components = `Add at most ${MAX_POOL_PRODUCTS} eligible products`;
+  } else if (productIds.some((productId) => !PRODUCT_GID.test(productId))) {
+    errors.components = "Some eligible products are invalid";
+  } else if (new Set(productIds).size !== productIds.length) {
+    errors.components = "Each product can only be added once";
+  }
+
+  return errors;
+}
+
+const VERIFY_COMPONENTS_QUERY = `#graphql
+  query verifyBundleComponents($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        id
+        price
+        inventoryItem {
+          unitCost {
+            amount
+          }
+        }
+        product {
+          id
+          title
+          tags
+          metafield(namespace: "$app", key: "bundle") {
+            id
+          }
+          legacyMetafield: metafield(namespace: "custom", key: "bundle_products") {
+            id
+          }
+        }
+      }
+    }
+  }`;
+
+// Checks the submitted components of several bundles against the shop at
+// once, so an import costs the same few queries as a single bundle: every
+// variant must exist, belong to the submitted product and not be a bundle
+// itself, and a fixed discount has to fit within the components' total.
+// Returns each bundle's field errors like validateBundle, in the order given.
+// Mix-and-match pools are checked as they are resolved, since a collection's
+// products are only known then.
+export async function verifyBundleComponentSets(client, bundlesData) {
+  const fixedBundlesData = bundlesData.filter(({ type }) => type !== BUNDLE_TYPES.MIX_AND_MATCH);
+  const variantsById = await fetchNodes(
+    client,
+    VERIFY_COMPONENTS_QUERY,
+    fixedBundlesData.flatMap(({ components }) => components.map(({ variantId }) => variantId)),
+  );
+
+  return bundlesData.map((bundleData) =>
+    bundleData.type === BUNDLE_TYPES.MIX_AND_MATCH
+      ? undefined
+      : checkComponents(bundleData, variantsById),
+  );
+}
+
+export async function verifyBundleComponents(client, bundleData) {
+  const [errors] = await verifyBundleComponentSets(client, [bundleData]);
+  return errors;
+}
+
+function checkComponents({ components, discount }, variantsById) {
+  const missing = components.filter(
+    ({ productId, variantId }) => variantsById[variantId]?.product.id !== productId,
+  );
+  if (missing.length > 0) {
+    return { components: "Some selected products no longer exist in this store" };
+  }
+
+  const nestedBundles = components
+    .map(({ variantId }) => variantsById[variantId].product)
+    .filter(
+      (product) => product.tags.includes("bundle") || product.metafield || product.legacyMetafield,
+    );
+  if (nestedBundles.length > 0) {
+    return {
+      components: `Bundles can't contain other bundles: ${nestedBundles.map(({ title }) => title).join(", ")}`,
+    };
+  }
+
+  const subtotal = getSubtotal(
+    components.map(({ variantId, quantity }) => ({
+      price: parseFloat(variantsById[variantId].price),
+      quantity,
+    })),
+  );
+  if (discount.type === DISCOUNT_TYPES.FIXED_AMOUNT && discount.value >= subtotal) {
+    return { discount: `Amount off must be less than the products' total of ${subtotal.toFixed(2)}` };
+  }
+  if (discount.type === DISCOUNT_TYPES.FIXED_PRICE && discount.value >= subtotal) {
+    return { discount: `Bundle price must be less than the products' total of ${subtotal.toFixed(2)}` };
+  }
+
+  if (discount.neverBelowCost) {
+    return checkBundleCost(
+      components.map(({ variantId, quantity }) => ({
+        price: parseFloat(variantsById[variantId].price),
+        cost: parseFloat(variantsById[variantId].inventoryItem?.unitCost?.amount ?? 0),
+        quantity,
+      })),
+      discount,
+    );
+  }
+}
+
+// Refuses a discount that prices the bundle below what its products cost, at
+// any of its quantity tiers. Products without a cost count as costing
+// nothing. This is checked when saving rather than at checkout, where the
+// bundle definition is public and mustn't reveal costs.
+function checkBundleCost(components, discount) {
+  const cost = roundMoney(
+    components.reduce((sum, component) => sum + component.cost * component.quantity, 0),
+  );
+  const quantities = [1, ...(discount.tiers ?? []).map(({ minQuantity }) => minQuantity)];
+  const lowestPrice = Math.min(
+    ...quantities.map((quantity) => calculateBundlePrice(components, discount, quantity).total),
+  );
+
+  if (lowestPrice < cost) {
+    return {
+      discount: `The bundle price of ${lowestPrice.toFixed(2)} is below the products' cost of ${cost.toFixed(2)}`,
+    };
+  }
+}
+
+function normalizeComponent({ productId, variantId, quantity }) {
+  return {
+    productId,
+    variantId: variantId || null,
+    quantity: Math.max(parseInt(quantity) || 1, 1),
+  };
+}
+
+// Bundles written before components carried a variant and quantity only have
+// a flat `products` array of product IDs; those read as one of each product.
+// For mix-and-match bundles `products` is the pool and `components` is empty.
+export function parseBundleMetafield(value) {
+  if (!value) return null;
+
+  try {
+    const parsed = JSON.parse(value);
+    // A newer app version wrote this in a format this one doesn't know.
+    if (parsed.version > BUNDLE_METAFIELD_VERSION) return null;
+    if (!Array.isArray(parsed.products)) return null;
+
+    if (parsed.type === BUNDLE_TYPES.MIX_AND_MATCH) {
+      return {
+        type: BUNDLE_TYPES.MIX_AND_MATCH,
+        pickCount: parseInt(parsed.pickCount) || null,
+        collectionId: parsed.collectionId ?? null,
+        productIds: parsed.products,
+        components: [],
+        discount: normalizeDiscount(parsed.discount),
+      };
+    }
+
+    const components = Array.isArray(parsed.components)
+      ? parsed.components.map(normalizeComponent)
+      : parsed.products.map((productId) => normalizeComponent({ productId }));
+
+    return {
+      type: BUNDLE_TYPES.FIXED,
+      components,
+      discount: normalizeDiscount(parsed.discount),
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Every value starts with the format `version`, so readers can tell formats
+// apart as they change; values without one are version 1. `products` is still
+// written alongside `components` so readers of the original format keep
+// working. Each component also carries its unit price at
+// the time of saving, which the cart transform function needs to price the
+// expanded bundle lines, and its product handle, which the storefront block
+// needs to look the product up in Liquid.
+//
+// Mix-and-match bundles add their `type`, `pickCount` and a `pool` listing
+// the variant IDs of each eligible product, which the cart transform function
+// checks the shopper's picks against, and their unit `prices` in the same
+// order, which it charges the picks at.
+export function serializeBundleMetafield({ type, pickCount, collectionId, components, discount }) {
+  if (type === BUNDLE_TYPES.MIX_AND_MATCH) {
+    return JSON.stringify({
+      version: BUNDLE_METAFIELD_VERSION,
+      type,
+      products: components.map(({ productId }) => productId),
+      pickCount,
+      ...(collectionId && { collectionId }),
+      pool: components.map(({ productId, handle, variantIds, variantPrices }) => ({
+        productId,
+        handle,
+        variantIds,
+        prices: variantPrices.map((price) => price.toFixed(2)),
+      })),
+      discount: normalizeDiscount(discount),
+    });
+  }
+
+  const normalized = components.map((component) => ({
+    ...normalizeComponent(component),
+    ...(component.price !== undefined && { price: component.price.toFixed(2) }),
+    ...(component.handle && { handle: component.handle }),
+  }));
+
+  return JSON.stringify({
+    version: BUNDLE_METAFIELD_VERSION,
+    products: [...new Set(normalized.map(({ productId }) => productId))],
+    components: normalized,
+    discount: normalizeDiscount(discount),
+  });
+}
+
+const DEFAULT_VARIANTS_QUERY = `#graphql
+  query getDefaultVariants($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on Product {
+        id
+        variants(first: 1) {
+          nodes {
+            id
+          }
+        }
+      }
+    }
+  }`;
+
+const COMPONENT_VARIANTS_QUERY = `#graphql
+  query getBundleComponents($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        id
+        title
+        price
+        product {
+          id
+          title
+          handle
+        }
+      }
+    }
+  }`;
+
+// Looks up the variant, title and price of the components of several bundles
+// at once, so resolving a page of bundles costs the same few queries as
+// resolving one. Components without a variant use their product's first
+// variant. Components whose variant no longer exists are dropped.
+export async function resolveComponentSets(client, componentSets) {
+  const normalizedSets = componentSets.map((components) => components.map(normalizeComponent));
+  const allComponents = normalizedSets.flat();
+
+  const productIdsWithoutVariant = allComponents
+    .filter(({ variantId }) => !variantId)
+    .map(({ productId }) => productId);
+  const productsById = await fetchNodes(client, DEFAULT_VARIANTS_QUERY, productIdsWithoutVariant);
+
+  const withVariants = normalizedSets.map((components) =>
+    components
+      .map((component) => ({
+        ...component,
+        variantId: component.variantId ?? productsById[component.productId]?.variants.nodes[0]?.id,
+      }))
+      .filter(({ variantId }) => variantId),
+  );
+  const variantsById = await fetchNodes(
+    client,
+    COMPONENT_VARIANTS_QUERY,
+    withVariants.flat().map(({ variantId }) => variantId),
+  );
+
+  return withVariants.map((components) =>
+    components
+      .filter(({ variantId }) => variantsById[variantId])
+      .map(({ variantId, quantity }) => {
+        const variant = variantsById[variantId];
+
+        return {
+          productId: variant.product.id,
+          variantId: variant.id,
+          title: variant.product.title,
+          handle: variant.product.handle,
+          variantTitle: variant.title,
+          price: parseFloat(variant.price),
+          quantity,
+        };
+      }),
+  );
+}
+
+export async function resolveComponents(client, components) {
+  const [resolved] = await resolveComponentSets(client, [components]);
+  return resolved;
+}
+
+// Each pool product costs about a point per variant fetched, so pools are
+// looked up a few products at a time to stay within the query cost limit.
+const POOL_PRODUCTS_PER_QUERY = 25;
+
+const POOL_PRODUCTS_QUERY = `#graphql
+  query getPoolProducts($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on Product {
+        id
+        title
+        handle
+        tags
+        metafield(namespace: "$app", key: "bundle") {
+          id
+        }
+        legacyMetafield: metafield(namespace: "custom", key: "bundle_products") {
+          id
+        }
+        priceRangeV2 {
+          minVariantPrice {
+            amount
+          }
+        }
+        variants(first: 25) {
+          nodes {
+            id
+            price
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  }`;
+
+const PRODUCT_VARIANTS_QUERY = `#graphql
+  query getProductVariants($id: ID!, $cursor: String) {
+    product(id: $id) {
+      variants(first: 250, after: $cursor) {
+        nodes {
+          id
+          title
+          price
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }`;
+
+// Every variant of a product read with its first page of `variants` and
+// their `pageInfo`. Most products fit in that page; the rest are paged
+// through one product at a time.
+async function getAllVariants(client, product) {
+  const variants = [...product.variants.nodes];
+  let { hasNextPage, endCursor: cursor } = product.variants.pageInfo;
+
+  while (hasNextPage) {
+    const data = await client.query(PRODUCT_VARIANTS_QUERY, {
+      variables: { id: product.id, cursor },
+    });
+    if (!data.product) break;
+    variants.push(...data.product.variants.nodes);
+    ({ hasNextPage, endCursor: cursor } = data.product.variants.pageInfo);
+  }
+
+  return variants;
+}
+
+// Gives each product all of its variants in `variants.nodes`, so a variant
+// past the first page can still be picked as a component.
+export async function withAllVariants(client, products) {
+  const complete = [];
+  for (const product of products) {
+    complete.push(
+      product.variants.pageInfo.hasNextPage
+        ? { ...product, variants: { ...product.variants, nodes: await getAllVariants(client, product) } }
+        : product,
+    );
+  }
+  return complete;
+}
+
+// Looks up the eligible products of several mix-and-match pools at once.
+// Products that no longer exist or are bundles themselves, by their tag or
+// their bundle definition, are dropped.
+export async function resolvePoolSets(client, productIdSets) {
+  const productsById = {};
+  for (const ids of chunk([...new Set(productIdSets.flat())], POOL_PRODUCTS_PER_QUERY)) {
+    Object.assign(productsById, await fetchNodes(client, POOL_PRODUCTS_QUERY, ids));
+  }
+  const variantsByProductId = {};
+  for (const product of Object.values(productsById)) {
+    variantsByProductId[product.id] = await getAllVariants(client, product);
+  }
+
+  return productIdSets.map((productIds) =>
+    productIds
+      .map((productId) => productsById[productId])
+      .filter(
+        (product) =>
+          product &&
+          !product.tags.includes("bundle") &&
+          !product.metafield &&
+          !product.legacyMetafield,
+      )
+      .map((product) => ({
+        productId: product.id,
+        variantId: null,
+        title: product.title,
+        handle: product.handle,
+        variantIds: variantsByProductId[product.id].map(({ id }) => id),
+        variantPrices: variantsByProductId[product.id].map(({ price }) => parseFloat(price)),
+        price: parseFloat(product.priceRangeV2.minVariantPrice.amount),
+        quantity: 1,
+      })),
+  );
+}
+
+// Resolves a pool given as a collection or as a list of products. A
+// collection's products are read once, when the bundle is saved.
+export async function resolvePool(client, { collectionId, productIds = [] }) {
+  if (collectionId) {
+    const data = await client.query(
+      `#graphql
+      query getPoolCollection($id: ID!, $first: Int!) {
+        collection(id: $id) {
+          products(first: $first) {
+            nodes {
+              id
+            }
+          }
+        }
+      }`,
+      { variables: { id: collectionId, first: MAX_POOL_PRODUCTS } },
+    );
+    productIds = data.collection?.products.nodes.map(({ id }) => id) ?? [];
+  }
+
+  const [pool] = await resolvePoolSets(client, [productIds]);
+  return pool;
+}
+
+// When a bundle product found in Shopify was published: the date it went on
+// the Online Store, or the time of the import for a bundle only sold on other
+// channels. Drafts were never published.
+function importedPublishedAt(product) {
+  if (product.status === BUNDLE_STATUSES.DRAFT) return null;
+  return product.publishedAt ? new Date(product.publishedAt) : new Date();
+}
+
+// Imports every bundle product of the shop into the local database, reading
+// the bundle definition from its metafield. Used to backfill bundles created
+// before they were stored locally.
+export async function syncBundlesFromShopify(shop, client) {
+  let cursor = null;
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    const data = await client.query(
+      `#graphql
+      query getBundleProducts($cursor: String) {
+        products(first: 50, after: $cursor, query: "tag:bundle") {
+          edges {
+            node {
+              id
+              title
+              descriptionHtml
+              status
+              publishedAt
+              metafield(namespace: "$app", key: "bundle") {
+                value
+              }
+              legacyMetafield: metafield(namespace: "custom", key: "bundle_products") {
+                value
+              }
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }`,
+      { variables: { cursor } },
+    );
+
+    const definitions = data.products.edges.map(({ node }) => ({
+      node,
+      definition: parseBundleMetafield((node.metafield ?? node.legacyMetafield)?.value),
+    }));
+    const fixedBundles = definitions.filter(
+      ({ definition }) =>
+        definition?.type === BUNDLE_TYPES.FIXED && definition.components.length > 0,
+    );
+    const mixAndMatchBundles = definitions.filter(
+      ({ definition }) =>
+        definition?.type === BUNDLE_TYPES.MIX_AND_MATCH && definition.productIds.length > 0,
+    );
+
+    // Components and pools of the whole page are looked up together rather
+    // than per bundle.
+    const componentSets = await resolveComponentSets(
+      client,
+      fixedBundles.map(({ definition }) => definition.components),
+    );
+    const poolSets = await resolvePoolSets(
+      client,
+      mixAndMatchBundles.map(({ definition }) => definition.productIds),
+    );
+    const bundles = [
+      ...fixedBundles.map((bundle, index) => ({ ...bundle, components: componentSets[index] })),
+      ...mixAndMatchBundles.map((bundle, index) => ({ ...bundle, components: poolSets[index] })),
+    ];
+    const storedProductIds = new Set(
+      (await getBundlesByProductIds(shop, bundles.map(({ node }) => node.id))).map(
+        ({ productId }) => productId,
+      ),
+    );
+
+    for (const { node, definition, components } of bundles) {
+      await saveBundle(shop, {
+        productId: node.id,
+        title: node.title,
+        // Saved back as the product's descriptionHtml when the bundle is
+        // updated, so the formatting has to survive.
+        description: node.descriptionHtml,
+        type: definition.type,
+        pickCount: definition.pickCount,
+        collectionId: definition.collectionId,
+        discount: definition.discount,
+        components,
+        status: node.status,
+        // Only a bundle seen for the first time gets a publish date, so
+        // bundles the app published keep theirs.
+        publishedAt: storedProductIds.has(node.id) ? undefined : importedPublishedAt(node),
+      });
+    }
+
+    hasNextPage = data.products.pageInfo.hasNextPage;
+    cursor = data.products.pageInfo.endCursor;
+  }
+}
+
+// Backfills the shop's bundles from Shopify the first time they are listed.
+// Shops that already have bundles stored have nothing to backfill, as those
+// were saved as they were created. Either way the shop is only checked once.
+export async function importBundlesFromShopifyOnce(shop, client) {
+  const setup = await db.shopSetup.findUnique({ where: { shop } });
+  if (setup?.bundlesImportedAt) return;
+
+  if ((await db.bundle.count({ where: { shop } })) === 0) {
+    await syncBundlesFromShopify(shop, client);
+  }
+  await db.shopSetup.upsert({
+    where: { shop },
+    create: { shop, bundlesImportedAt: new Date() },
+    update: { bundlesImportedAt: new Date() },
+  });
+}
@@ -0,0 +1,121 @@
+import db from "../db.server";
+import { getBundlesByProductIds } from "./Bundle.server";
+import { roundMoney } from "../utils/pricing";
+import { addDays, daysBetween, fromWallClock, toZonedDate } from "../utils/dates";
+
+const DEFAULT_RANGE_DAYS = 30;
+const TOP_BUNDLES = 10;
+
+function parseDateParam(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value ?? "") && !Number.isNaN(Date.parse(value))
+    ? value
+    : null;
+}
+
+// Reads the `from` and `to` dates (YYYY-MM-DD, both inclusive, in the shop's
+// time zone) of the dashboard, defaulting to the last 30 days. Returns the
+// dates as given, the shop's today and the [start, end) instants to query.
+export function getDateRange(searchParams, timeZone) {
+  const today = toZonedDate(new Date(), timeZone);
+  const to = parseDateParam(searchParams.get("to")) ?? today;
+  let from = parseDateParam(searchParams.get("from")) ?? addDays(to, -(DEFAULT_RANGE_DAYS - 1));
+  if (from > to) from = to;
+
+  return {
+    from,
+    to,
+    today,
+    timeZone,
+    start: fromWallClock(from, timeZone),
+    end: fromWallClock(addDays(to, 1), timeZone),
+  };
+}
+
+// Sums sales into consecutive periods covering the range, by the day they
+// were ordered on in the shop's time zone: days for ranges up to three
+// months, weeks beyond that.
+function getSalesSeries(sales, { from, to, timeZone }) {
+  const periodDays = daysBetween(from, to) + 1 > 92 ? 7 : 1;
+  const series = [];
+
+  for (let date = from; date <= to; date = addDays(date, periodDays)) {
+    series.push({ date, units: 0, revenue: 0 });
+  }
+  for (const sale of sales) {
+    const index = Math.floor(daysBetween(from, toZonedDate(sale.orderedAt, timeZone)) / periodDays);
+    if (!series[index]) continue;
+    series[index].units += sale.quantity;
+    series[index].revenue = roundMoney(series[index].revenue + sale.revenue);
+  }
+
+  return { periodDays, series };
+}
+
+// Bundle sales are recorded in the shop's currency, so their amounts add up.
+export async function getBundleAnalytics(shop, range) {
+  const { start, end } = range;
+  const saleWhere = { shop, orderedAt: { gte: start, lt: end } };
+
+  const [bundlesCreated, orderCount, totals, bundleOrders, topBundleSales, sales] =
+    await Promise.all([
+      db.bundle.count({ where: { shop, createdAt: { gte: start, lt: end } } }),
+      db.shopOrder.count({ where: { shop, processedAt: { gte: start, lt: end } } }),
+      db.bundleSale.aggregate({
+        where: saleWhere,
+        _sum: { quantity: true, revenue: true, discount: true },
+      }),
+      db.bundleSale.groupBy({ by: ["orderId"], where: saleWhere }),
+      db.bundleSale.groupBy({
+        by: ["productId"],
+        where: saleWhere,
+        _sum: { quantity: true, revenue: true, discount: true },
+        orderBy: { _sum: { revenue: "desc" } },
+        take: TOP_BUNDLES,
+      }),
+      db.bundleSale.findMany({
+        where: saleWhere,
+        select: { orderedAt: true, quantity: true, revenue: true },
+      }),
+    ]);
+
+  const bundles = await getBundlesByProductIds(
+    shop,
+    topBundleSales.map(({ productId }) => productId),
+  );
+  const titlesByProductId = new Map(bundles.map(({ productId, title }) => [productId, title]));
+
+  const unitsSold = totals._sum.quantity ?? 0;
+  const revenue = roundMoney(totals._sum.revenue ?? 0);
+  const discountGiven = roundMoney(totals._sum.discount ?? 0);
+
+  return {
+    bundlesCreated,
+    orderCount,
+    bundleOrderCount: bundleOrders.length,
+    // Share of all orders that included at least one bundle.
+    attachRate: orderCount > 0 ? bundleOrders.length / orderCount : 0,
+    unitsSold,
+    revenue,
+    discountGiven,
+    averageDiscount: unitsSold > 0 ? roundMoney(discountGiven / unitsSold) : 0,
+    averageDiscountPercentage:
+      revenue + discountGiven > 0 ? (discountGiven / (revenue + discountGiven)) * 100 : 0,
+    topBundles: topBundleSales.map(({ productId, _sum }) => ({
+      productId,
+      title: titlesByProductId.get(productId) ?? "Deleted bundle",
+      unitsSold: _sum.quantity ?? 0,
+      revenue: roundMoney(_sum.revenue ?? 0),
+      discountGiven: roundMoney(_sum.discount ?? 0),
+    })),
+    ...getSalesSeries(sales, range),
+  };
+}
+
+// Every bundle sale in the range, oldest first, for the CSV download.
+export async function getBundleSales(shop, { start, end }) {
+  return db.bundleSale.findMany({
+    where: { shop, orderedAt: { gte: start, lt: end } },
+    include: { bundle: { select: { title: true } } },
+    orderBy: { orderedAt: "asc" },
+  });
+}
@@ -0,0 +1,490 @@
+import {
+  createBundle,
+  getBundles,
+  updateBundle,
+  validateBundle,
+  verifyBundleComponentSets,
+} from "./Bundle.server";
+import { trySyncBundleInventory } from "./BundleInventory.server";
+import { BUNDLE_TYPES } from "../utils/bundleTypes";
+import { chunk, fetchNodes, UserErrorsError } from "../utils/graphql.server";
+import { DISCOUNT_TYPES, PRICE_ROUNDING, normalizeDiscount } from "../utils/pricing";
+import { parseCsv, toCsv } from "../utils/csv";
+
+// One row per component, or per eligible product of a mix-and-match bundle.
+// Rows of a bundle share its Bundle ID or, for new bundles, its Name; the
+// other bundle columns are read from its first row.
+export const BUNDLE_CSV_COLUMNS = [
+  "Bundle ID",
+  "Name",
+  "Description",
+  "Type",
+  "Pick count",
+  "Collection ID",
+  "Discount type",
+  "Discount value",
+  "Discount tiers",
+  "Price rounding",
+  "Never below cost",
+  "Component handle",
+  "Component SKU",
+  "Component variant",
+  "Quantity",
+];
+
+export const MAX_IMPORT_BUNDLES = 100;
+
+const DEFAULT_VARIANT_TITLE = "Default Title";
+
+// Tiers are written as `minQuantity:percentage` pairs, e.g. "3:10|5:20".
+function formatTiers(tiers) {
+  return tiers.map(({ minQuantity, percentage }) => `${minQuantity}:${percentage}`).join("|");
+}
+
+function parseTiers(value) {
+  return value
+    .split("|")
+    .map((tier) => tier.trim())
+    .filter(Boolean)
+    .map((tier) => {
+      const [minQuantity, percentage] = tier.split(":").map((part) => Number(part.trim()));
+      return { minQuantity, percentage };
+    });
+}
+
+const EXPORT_NODES_QUERY = `#graphql
+  query getBundleExportNodes($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        id
+        sku
+        title
+        product {
+          handle
+        }
+      }
+      ... on Product {
+        id
+        handle
+      }
+    }
+  }`;
+
+// Writes every bundle of the shop as CSV that importBundleCsv reads back.
+// Components whose product no longer exists are left out.
+export async function exportBundlesCsv(shop, client) {
+  const bundles = await getBundles(shop);
+  const nodesById = await fetchNodes(
+    client,
+    EXPORT_NODES_QUERY,
+    bundles.flatMap((bundle) =>
+      bundle.components.map(({ productId, variantId }) => variantId ?? productId),
+    ),
+  );
+
+  const rows = bundles.flatMap((bundle) =>
+    bundle.components
+      .map((component) => ({ component, node: nodesById[component.variantId ?? component.productId] }))
+      .filter(({ node }) => node)
+      .map(({ component, node }, index) => {
+        const isVariant = Boolean(component.variantId);
+        const bundleFields =
+          index === 0
+            ? [
+                bundle.description ?? "",
+                bundle.type,
+                bundle.pickCount ?? "",
+                bundle.collectionId ?? "",
+                bundle.discount.type,
+                bundle.discount.type === DISCOUNT_TYPES.TIERED ? "" : bundle.discount.value,
+                formatTiers(bundle.discount.tiers),
+                bundle.discount.rounding,
+                bundle.discount.neverBelowCost ? "yes" : "no",
+              ]
+            : ["", "", "", "", "", "", "", "", ""];
+
+        return [
+          bundle.productId,
+          bundle.title,
+          ...bundleFields,
+          isVariant ? node.product.handle : node.handle,
+          isVariant ? node.sku ?? "" : "",
+          isVariant && node.title !== DEFAULT_VARIANT_TITLE ? node.title : "",
+          bundle.type === BUNDLE_TYPES.MIX_AND_MATCH ? "" : component.quantity,
+        ];
+      }),
+  );
+
+  return toCsv([BUNDLE_CSV_COLUMNS, ...rows]);
+}
+
+// Reads the CSV into bundle groups, keeping the spreadsheet row number of
+// every value so errors can point at it. Row 1 is the header.
+function readBundleGroups(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((column) => column.trim().toLowerCase());
+  if (!columns.includes("name")) {
+    return { error: "The CSV is missing the Name column" };
+  }
+  if (!columns.includes("component handle") && !columns.includes("component sku")) {
+    return { error: "The CSV needs a Component handle or Component SKU column" };
+  }
+
+  const groups = [];
+  const groupsByKey = new Map();
+  let previous = null;
+
+  rows.forEach((values, index) => {
+    const row = index + 2;
+    const field = (column) => (values[columns.indexOf(column.toLowerCase())] ?? "").trim();
+    if (values.every((value) => !value.trim())) return;
+
+    const bundleId = field("Bundle ID");
+    const name = field("Name");
+    const key = bundleId || name.toLowerCase();
+
+    // Rows without an ID or name continue the bundle above them.
+    let group = key ? groupsByKey.get(key) : previous;
+    if (!group) {
+      group = {
+        rows: [],
+        bundleId,
+        name,
+        description: field("Description"),
+        type: field("Type") || BUNDLE_TYPES.FIXED,
+        pickCount: field("Pick count"),
+        collectionId: field("Collection ID"),
+        discountType: field("Discount type") || DISCOUNT_TYPES.PERCENTAGE,
+        discountValue: field("Discount value"),
+        discountTiers: field("Discount tiers"),
+        priceRounding: field("Price rounding") || PRICE_ROUNDING.NONE,
+        neverBelowCost: field("Never below cost"),
+        components: [],
+        errors: [],
+      };
+      groups.push(group);
+      if (key) groupsByKey.set(key, group);
+    }
+    previous = group;
+
+    group.rows.push(row);
+    if (!group.name && name) group.name = name;
+    if (field("Component handle") || field("Component SKU")) {
+      group.components.push({
+        row,
+        handle: field("Component handle"),
+        sku: field("Component SKU"),
+        variantTitle: field("Component variant"),
+        quantity: field("Quantity"),
+      });
+    } else if (!(group.type === BUNDLE_TYPES.MIX_AND_MATCH && group.collectionId)) {
+      group.errors.push({ row, message: "Add a component handle or SKU" });
+    }
+  });
+
+  return { groups };
+}
+
+const PRODUCTS_BY_HANDLE_QUERY = `#graphql
+  query getProductsByHandle($query: String!, $first: Int!) {
+    products(first: $first, query: $query) {
+      nodes {
+        id
+        handle
+        variants(first: 20) {
+          nodes {
+            id
+            title
+          }
+        }
+      }
+    }
+  }`;
+
+const VARIANTS_BY_SKU_QUERY = `#graphql
+  query getVariantsBySku($query: String!, $first: Int!) {
+    productVariants(first: $first, query: $query) {
+      nodes {
+        id
+        sku
+        product {
+          id
+        }
+      }
+    }
+  }`;
+
+function searchQuery(field, values) {
+  return values.map((value) => `${field}:"${value.replace(/["\\]/g, "\\$&")}"`).join(" OR ");
+}
+
+// Looks up every handle and SKU of the import in a few batched searches.
+async function lookUpComponents(client, groups) {
+  const references = groups.flatMap(({ components }) => components);
+  const handles = [...new Set(references.map(({ handle }) => handle).filter(Boolean))];
+  const skus = [...new Set(references.map(({ sku }) => sku).filter(Boolean))];
+
+  const productsByHandle = new Map();
+  for (const handlesChunk of chunk(handles, 25)) {
+    const data = await client.query(PRODUCTS_BY_HANDLE_QUERY, {
+      variables: { query: searchQuery("handle", handlesChunk), first: handlesChunk.length },
+    });
+    for (const product of data.products.nodes) productsByHandle.set(product.handle, product);
+  }
+
+  const variantsBySku = new Map();
+  for (const skusChunk of chunk(skus, 50)) {
+    const data = await client.query(VARIANTS_BY_SKU_QUERY, {
+      variables: { query: searchQuery("sku", skusChunk), first: 250 },
+    });
+    for (const variant of data.productVariants.nodes) {
+      variantsBySku.set(variant.sku, [...(variantsBySku.get(variant.sku) ?? []), variant]);
+    }
+  }
+
+  return { productsByHandle, variantsBySku };
+}
+
+// Resolves one component row to a product and, for fixed bundles, a variant.
+function resolveReference(reference, { productsByHandle, variantsBySku }) {
+  const { handle, sku, variantTitle } = reference;
+
+  if (sku) {
+    const variants = variantsBySku.get(sku) ?? [];
+    if (variants.length === 0) return { error: `No variant has the SKU ${sku}` };
+    if (variants.length > 1) return { error: `Several variants have the SKU ${sku}` };
+    return { productId: variants[0].product.id, variantId: variants[0].id };
+  }
+
+  const product = productsByHandle.get(handle);
+  if (!product) return { error: `No product has the handle ${handle}` };
+
+  const variants = product.variants.nodes;
+  if (variantTitle) {
+    const variant = variants.find(({ title }) => title.toLowerCase() === variantTitle.toLowerCase());
+    if (!variant) return { error: `${handle} has no variant named ${variantTitle}` };
+    return { productId: product.id, variantId: variant.id };
+  }
+  if (variants.length > 1) {
+    return {
+      productId: product.id,
+      error: `${handle} has several variants; set Component variant or Component SKU`,
+    };
+  }
+
+  return { productId: product.id, variantId: variants[0]?.id };
+}
+
+function parseNumber(value) {
+  return value === "" ? undefined : Number(value);
+}
+
+// Turns a group into the bundleData createBundle and updateBundle take,
+// collecting row errors along the way.
+function toBundleData(group, lookups) {
+  const errors = [...group.errors];
+  const isMixAndMatch = group.type === BUNDLE_TYPES.MIX_AND_MATCH;
+  const resolved = group.components.map((reference) => {
+    const result = resolveReference(reference, lookups);
+    // A mix-and-match pool only needs the product.
+    if (result.error && !(isMixAndMatch && result.productId)) {
+      errors.push({ row: reference.row, message: result.error });
+    }
+
+    const quantity = reference.quantity === "" ? 1 : Number(reference.quantity);
+    if (!isMixAndMatch && !Number.isInteger(quantity)) {
+      errors.push({ row: reference.row, message: "Quantity must be a whole number" });
+    }
+
+    return { ...result, quantity };
+  });
+
+  const discount = {
+    type: group.discountType,
+    value: parseNumber(group.discountValue) ?? 0,
+    tiers: group.discountType === DISCOUNT_TYPES.TIERED ? parseTiers(group.discountTiers) : [],
+    rounding: group.priceRounding,
+    neverBelowCost: ["yes", "true", "1"].includes(group.neverBelowCost.toLowerCase()),
+  };
+  const common = {
+    type: group.type,
+    name: group.name,
+    description: group.description,
+    discount,
+  };
+  const bundleData = isMixAndMatch
+    ? {
+        ...common,
+        pickCount: parseNumber(group.pickCount),
+        collectionId: group.collectionId || null,
+        productIds: group.collectionId
+          ? []
+          : [...new Set(resolved.map(({ productId }) => productId).filter(Boolean))],
+      }
+    : {
+        ...common,
+        components: resolved
+          .filter(({ variantId }) => variantId)
+          .map(({ productId, variantId, quantity }) => ({ productId, variantId, quantity })),
+      };
+
+  return { bundleData, errors };
+}
+
+// The fields of an existing bundle an import would change.
+function getChanges(bundle, bundleData) {
+  const changes = [];
+  const sameList = (a, b) => JSON.stringify([...a].sort()) === JSON.stringify([...b].sort());
+
+  if (bundle.title !== bundleData.name) changes.push("Name");
+  if ((bundle.description ?? "") !== (bundleData.description ?? "")) changes.push("Description");
+  if (bundle.type !== bundleData.type) changes.push("Type");
+  if (JSON.stringify(bundle.discount) !== JSON.stringify(normalizeDiscount(bundleData.discount))) {
+    changes.push("Discount");
+  }
+
+  if (bundleData.type === BUNDLE_TYPES.MIX_AND_MATCH) {
+    if (bundle.pickCount !== bundleData.pickCount) changes.push("Pick count");
+    if (
+      (bundle.collectionId ?? null) !== bundleData.collectionId ||
+      (!bundleData.collectionId &&
+        !sameList(bundle.components.map(({ productId }) => productId), bundleData.productIds))
+    ) {
+      changes.push("Eligible products");
+    }
+  } else if (
+    !sameList(
+      bundle.components.map(({ variantId, quantity }) => `${variantId}×${quantity}`),
+      bundleData.components.map(({ variantId, quantity }) => `${variantId}×${quantity}`),
+    )
+  ) {
+    changes.push("Components");
+  }
+
+  return changes;
+}
+
+// Works out what importing the CSV would do without changing anything: for
+// every bundle in it, whether it would be created, updated or left alone, and
+// any errors that keep it from being imported.
+export async function planBundleImport(shop, client, text) {
+  const { groups, error } = readBundleGroups(text);
+  if (error) return { error, bundles: [] };
+  if (groups.length === 0) return { error: "The CSV has no bundles", bundles: [] };
+  if (groups.length > MAX_IMPORT_BUNDLES) {
+    return { error: `Import at most ${MAX_IMPORT_BUNDLES} bundles at a time`, bundles: [] };
+  }
+
+  const [existingBundles, lookups] = await Promise.all([
+    getBundles(shop),
+    lookUpComponents(client, groups),
+  ]);
+  const claimed = new Set();
+  const bundles = [];
+
+  for (const group of groups) {
+    const { bundleData, errors } = toBundleData(group, lookups);
+    const firstRow = group.rows[0];
+
+    let existing = null;
+    if (group.bundleId) {
+      existing = existingBundles.find(({ productId }) => productId === group.bundleId);
+      if (!existing) errors.push({ row: firstRow, message: `No bundle has the ID ${group.bundleId}` });
+    } else {
+      const matches = existingBundles.filter(
+        ({ title }) => title.toLowerCase() === group.name.toLowerCase(),
+      );
+      if (matches.length > 1) {
+        errors.push({
+          row: firstRow,
+          message: `Several bundles are named ${group.name}; add the Bundle ID to choose one`,
+        });
+      }
+      existing = matches.length === 1 ? matches[0] : null;
+    }
+
+    if (existing && claimed.has(existing.id)) {
+      errors.push({ row: firstRow, message: `${existing.title} appears more than once in the CSV` });
+    }
+    if (existing) claimed.add(existing.id);
+
+    if (errors.length === 0) {
+      for (const message of Object.values(validateBundle(bundleData) ?? {})) {
+        errors.push({ row: firstRow, message });
+      }
+    }
+
+    bundles.push({
+      rows: group.rows,
+      name: group.name || existing?.title || "",
+      action: "error",
+      changes: [],
+      errors,
+      bundleData,
+      existing,
+    });
+  }
+
+  // The components of every bundle left are checked against the shop in one
+  // batch.
+  const valid = bundles.filter(({ errors }) => errors.length === 0);
+  const componentErrors = await verifyBundleComponentSets(
+    client,
+    valid.map(({ bundleData }) => bundleData),
+  );
+  valid.forEach((entry, index) => {
+    for (const message of Object.values(componentErrors[index] ?? {})) {
+      entry.errors.push({ row: entry.rows[0], message });
+    }
+  });
+
+  for (const entry of bundles) {
+    if (entry.errors.length > 0) continue;
+    entry.changes = entry.existing ? getChanges(entry.existing, entry.bundleData) : [];
+    entry.action = !entry.existing ? "create" : entry.changes.length > 0 ? "update" : "unchanged";
+  }
+
+  return { bundles };
+}
+
+// Creates and updates the bundles planBundleImport found valid. Bundles with
+// errors or no changes are skipped; one bundle failing in Shopify doesn't
+// stop the others.
+export async function importBundleCsv(shop, client, text) {
+  const plan = await planBundleImport(shop, client, text);
+  if (plan.error) return plan;
+
+  for (const entry of plan.bundles) {
+    if (entry.action !== "create" && entry.action !== "update") continue;
+
+    try {
+      const { bundle } =
+        entry.action === "create"
+          ? await createBundle(shop, client, entry.bundleData)
+          : await updateBundle(shop, client, entry.existing, entry.bundleData);
+      await trySyncBundleInventory(client, bundle);
+      entry.imported = true;
+    } catch (error) {
+      if (!(error instanceof UserErrorsError)) throw error;
+      entry.errors.push({ row: entry.rows[0], message: error.message });
+      entry.action = "error";
+    }
+  }
+
+  return plan;
+}
+
+// What the import page shows of a plan.
+export function summarizeBundleImport({ error, bundles }) {
+  return {
+    error,
+    bundles: bundles.map(({ rows, name, action, changes, errors, imported = false }) => ({
+      rows,
+      name,
+      action,
+      changes,
+      errors,
+      imported,
+    })),
+  };
+}
@@ -0,0 +1,199 @@
+import { getBundlesWithComponents } from "./Bundle.server";
+import { BUNDLE_TYPES } from "../utils/bundleTypes";
+import { fetchNodes, UserErrorsError } from "../utils/graphql.server";
+
+// A component only limits the bundle when Shopify tracks its stock and won't
+// let it oversell. Stock is what's available at the location the bundle is
+// stocked at, as read by COMPONENT_INVENTORY_QUERY; a component not stocked
+// there has none. Returns null when no component limits the bundle.
+export function computeBundleAvailability(components, variantsById) {
+  let available = null;
+
+  for (const component of components) {
+    const variant = variantsById[component.variantId];
+
+    // A component that no longer exists can't be sold.
+    if (!variant) return 0;
+    if (!variant.inventoryItem.tracked || variant.inventoryPolicy === "CONTINUE") continue;
+
+    const stock = variant.inventoryItem.inventoryLevel?.quantities[0]?.quantity ?? 0;
+    const possible = Math.floor(Math.max(stock, 0) / component.quantity);
+    available = available === null ? possible : Math.min(available, possible);
+  }
+
+  return available;
+}
+
+const COMPONENT_INVENTORY_QUERY = `#graphql
+  query getComponentInventory($ids: [ID!]!, $locationId: ID!) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        id
+        inventoryPolicy
+        inventoryItem {
+          tracked
+          inventoryLevel(locationId: $locationId) {
+            quantities(names: ["available"]) {
+              quantity
+            }
+          }
+        }
+      }
+    }
+  }`;
+
+// The stock of component variants at the shop's primary location, where
+// bundle stock is kept, so bundles count only what that location can ship.
+async function fetchComponentInventory(client, variantIds) {
+  const data = await client.query(
+    `#graphql
+    query getPrimaryLocation {
+      location {
+        id
+      }
+    }`,
+  );
+  const locationId = data.location.id;
+
+  return {
+    locationId,
+    variantsById: await fetchNodes(client, COMPONENT_INVENTORY_QUERY, variantIds, { locationId }),
+  };
+}
+
+async function fetchBundleVariant(client, productId) {
+  const data = await client.query(
+    `#graphql
+    query getBundleVariant($id: ID!) {
+      product(id: $id) {
+        variants(first: 1) {
+          nodes {
+            id
+            inventoryItem {
+              id
+              tracked
+            }
+          }
+        }
+      }
+    }`,
+    { variables: { id: productId } },
+  );
+
+  return data.product?.variants.nodes[0];
+}
+
+async function trackInventory(client, productId, variantId) {
+  await client.mutate(
+    `#graphql
+    mutation trackBundleInventory($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+      productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    {
+      variables: {
+        productId,
+        variants: [{ id: variantId, inventoryItem: { tracked: true } }],
+      },
+    },
+  );
+}
+
+async function setAvailable(client, inventoryItemId, locationId, quantity) {
+  await client.mutate(
+    `#graphql
+    mutation setBundleInventory($input: InventorySetQuantitiesInput!) {
+      inventorySetQuantities(input: $input) {
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    {
+      variables: {
+        input: {
+          name: "available",
+          reason: "correction",
+          ignoreCompareQuantity: true,
+          quantities: [{ inventoryItemId, locationId, quantity }],
+        },
+      },
+    },
+  );
+}
+
+// Writes the number of bundles that can be assembled from component stock at
+// the shop's primary location onto the bundle product's variant there.
+// `inventory` is what fetchComponentInventory read, when the caller already
+// has it. Mix-and-match bundles are skipped: what they need depends on the
+// picks.
+export async function syncBundleInventory(client, bundle, inventory) {
+  if (bundle.type === BUNDLE_TYPES.MIX_AND_MATCH) return;
+
+  const { locationId, variantsById } =
+    inventory ??
+    (await fetchComponentInventory(
+      client,
+      bundle.components.map(({ variantId }) => variantId).filter(Boolean),
+    ));
+
+  const available = computeBundleAvailability(bundle.components, variantsById);
+  const variant = await fetchBundleVariant(client, bundle.productId);
+
+  // Bundles whose components are all untracked stay untracked themselves.
+  if (!variant || available === null) return;
+
+  if (!variant.inventoryItem.tracked) {
+    await trackInventory(client, bundle.productId, variant.id);
+  }
+
+  await setAvailable(client, variant.inventoryItem.id, locationId, available);
+}
+
+// Like syncBundleInventory, but logs rather than throws when Shopify rejects
+// the update, for callers whose own work already succeeded.
+export async function trySyncBundleInventory(client, bundle, inventory) {
+  try {
+    await syncBundleInventory(client, bundle, inventory);
+  } catch (error) {
+    if (!(error instanceof UserErrorsError)) throw error;
+    console.error(`Failed to sync inventory for bundle ${bundle.productId}:`, error.userErrors);
+  }
+}
+
+// Re-syncs every bundle that uses one of the given products or variants.
+export async function syncInventoryForComponents(shop, client, { productIds, variantIds }) {
+  const bundles = await getBundlesWithComponents(shop, { productIds, variantIds });
+  if (bundles.length === 0) return;
+
+  // One batched lookup covers the components of every affected bundle.
+  const inventory = await fetchComponentInventory(
+    client,
+    bundles.flatMap((bundle) => bundle.components.map(({ variantId }) => variantId)).filter(Boolean),
+  );
+
+  for (const bundle of bundles) {
+    await trySyncBundleInventory(client, bundle, inventory);
+  }
+}
+
+export async function getVariantIdForInventoryItem(client, inventoryItemId) {
+  const data = await client.query(
+    `#graphql
+    query getInventoryItemVariant($id: ID!) {
+      inventoryItem(id: $id) {
+        variant {
+          id
+        }
+      }
+    }`,
+    { variables: { id: inventoryItemId } },
+  );
+
+  return data.inventoryItem?.variant?.id;
+}
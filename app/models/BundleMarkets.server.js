@@ -0,0 +1,126 @@
+import { fetchNodes } from "../utils/graphql.server";
+import { calculateBundlePrice, getSubtotal, roundMoney } from "../utils/pricing";
+import { BUNDLE_TYPES } from "../utils/bundleTypes";
+
+// How the admin pages show the shop's prices and dates: in the currency
+// bundle prices are stored and calculated in, the shop's primary locale and
+// its time zone. Passing these explicitly keeps server and browser rendering
+// the same text.
+export async function getShopFormat(client) {
+  const data = await client.query(
+    `#graphql
+    query getShopFormat {
+      shop {
+        currencyCode
+        ianaTimezoneName
+      }
+      shopLocales(published: true) {
+        locale
+        primary
+      }
+    }`,
+  );
+
+  return {
+    currencyCode: data.shop.currencyCode,
+    locale: data.shopLocales.find(({ primary }) => primary)?.locale ?? "en",
+    timeZone: data.shop.ianaTimezoneName,
+  };
+}
+
+// The shop's enabled markets, each priced as its first country. Markets
+// without a country, e.g. ones for B2B companies only, can't be previewed.
+async function getMarkets(client) {
+  const data = await client.query(
+    `#graphql
+    query getMarkets {
+      markets(first: 50) {
+        nodes {
+          id
+          name
+          enabled
+          primary
+          regions(first: 1) {
+            nodes {
+              ... on MarketRegionCountry {
+                code
+              }
+            }
+          }
+        }
+      }
+    }`,
+  );
+
+  return data.markets.nodes
+    .filter(({ enabled, regions }) => enabled && regions.nodes[0]?.code)
+    .map(({ id, name, primary, regions }) => ({
+      id,
+      name,
+      primary,
+      country: regions.nodes[0].code,
+    }))
+    .sort((a, b) => b.primary - a.primary);
+}
+
+const CONTEXTUAL_PRICES_QUERY = `#graphql
+  query getContextualPrices($ids: [ID!]!, $country: CountryCode!) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        id
+        contextualPricing(context: { country: $country }) {
+          price {
+            amount
+            currencyCode
+          }
+        }
+      }
+    }
+  }`;
+
+// What a bundle costs in each of the shop's markets. The cart transform
+// converts the bundle price at the shopper's exchange rate, so in every market
+// the bundle keeps the share of its components' price it has in the shop
+// currency. Components with a fixed price in a market's price list can make
+// checkout differ slightly. A mix-and-match price depends on the picks, so
+// only fixed bundles are priced.
+export async function getBundleMarketPrices(client, bundle) {
+  if (bundle.type === BUNDLE_TYPES.MIX_AND_MATCH) return [];
+  if (bundle.components.some(({ variantId }) => !variantId)) return [];
+
+  const { subtotal, total } = calculateBundlePrice(bundle.components, bundle.discount);
+  const ratio = subtotal > 0 ? total / subtotal : 0;
+  const markets = await getMarkets(client);
+
+  const prices = [];
+  for (const market of markets) {
+    const variantsById = await fetchNodes(
+      client,
+      CONTEXTUAL_PRICES_QUERY,
+      bundle.components.map(({ variantId }) => variantId),
+      { country: market.country },
+    );
+
+    const marketPrices = bundle.components.map(
+      ({ variantId }) => variantsById[variantId]?.contextualPricing?.price,
+    );
+    // A deleted component has no price anywhere; the bundle is flagged for it.
+    if (marketPrices.some((price) => !price)) return [];
+
+    const marketSubtotal = getSubtotal(
+      bundle.components.map(({ quantity }, index) => ({
+        quantity,
+        price: parseFloat(marketPrices[index].amount),
+      })),
+    );
+
+    prices.push({
+      ...market,
+      currencyCode: marketPrices[0].currencyCode,
+      subtotal: marketSubtotal,
+      total: roundMoney(marketSubtotal * ratio),
+    });
+  }
+
+  return prices;
+}
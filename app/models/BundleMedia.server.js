@@ -0,0 +1,223 @@
+import sharp from "sharp";
+import { fetchNodes, UserErrorsError } from "../utils/graphql.server";
+
+// Bundle products show at most this many component images, and the collage
+// at most COLLAGE_MAX_IMAGES of them.
+export const MAX_BUNDLE_MEDIA = 10;
+export const COLLAGE_MAX_IMAGES = 9;
+
+const COLLAGE_TILE_SIZE = 600;
+const COLLAGE_FILENAME = "bundle-collage.jpg";
+// A stalled CDN response would otherwise hold the request open indefinitely.
+const TILE_DOWNLOAD_TIMEOUT_MS = 10_000;
+
+// A component image that couldn't be downloaded, or a collage that couldn't
+// be drawn or uploaded.
+export class BundleMediaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BundleMediaError";
+  }
+}
+
+const FEATURED_IMAGES_QUERY = `#graphql
+  query getFeaturedImages($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on Product {
+        id
+        title
+        featuredMedia {
+          preview {
+            image {
+              url
+              altText
+            }
+          }
+        }
+      }
+    }
+  }`;
+
+// The featured image of each product, in the order given. Products without
+// one are skipped, as is a product listed more than once.
+export async function getComponentImages(client, productIds) {
+  const uniqueIds = [...new Set(productIds)];
+  const productsById = await fetchNodes(client, FEATURED_IMAGES_QUERY, uniqueIds);
+
+  return uniqueIds
+    .map((id) => productsById[id])
+    .filter((product) => product?.featuredMedia?.preview?.image)
+    .map(({ id, title, featuredMedia }) => ({
+      productId: id,
+      title,
+      url: featuredMedia.preview.image.url,
+      alt: featuredMedia.preview.image.altText || title,
+    }));
+}
+
+async function downloadTile(url, width, height) {
+  // Shopify's CDN resizes images on request, so only what the tile needs is
+  // downloaded.
+  const sized = new URL(url);
+  sized.searchParams.set("width", String(width));
+
+  let response;
+  try {
+    response = await fetch(sized, { signal: AbortSignal.timeout(TILE_DOWNLOAD_TIMEOUT_MS) });
+  } catch (error) {
+    if (error.name !== "TimeoutError") throw error;
+    throw new BundleMediaError(`Couldn't download ${url}: timed out`);
+  }
+  if (!response.ok) {
+    throw new BundleMediaError(`Couldn't download ${url}: status ${response.status}`);
+  }
+
+  return sharp(Buffer.from(await response.arrayBuffer()))
+    .resize(width, height, { fit: "cover" })
+    .toBuffer();
+}
+
+// Draws the images side by side in a square-ish grid on white and returns it
+// as a JPEG.
+export async function createCollage(images) {
+  const tiles = images.slice(0, COLLAGE_MAX_IMAGES);
+  if (tiles.length === 0) throw new BundleMediaError("There are no images to make a collage of");
+
+  const columns = Math.ceil(Math.sqrt(tiles.length));
+  const rows = Math.ceil(tiles.length / columns);
+
+  try {
+    const composites = await Promise.all(
+      tiles.map(async ({ url }, index) => ({
+        input: await downloadTile(url, COLLAGE_TILE_SIZE, COLLAGE_TILE_SIZE),
+        left: (index % columns) * COLLAGE_TILE_SIZE,
+        top: Math.floor(index / columns) * COLLAGE_TILE_SIZE,
+      })),
+    );
+
+    return await sharp({
+      create: {
+        width: columns * COLLAGE_TILE_SIZE,
+        height: rows * COLLAGE_TILE_SIZE,
+        channels: 3,
+        background: "#ffffff",
+      },
+    })
+      .composite(composites)
+      .jpeg({ quality: 85 })
+      .toBuffer();
+  } catch (error) {
+    if (error instanceof BundleMediaError) throw error;
+    // sharp rejects images it can't decode.
+    throw new BundleMediaError(`Couldn't draw the collage: ${error.message}`);
+  }
+}
+
+// Uploads a generated image to Shopify and returns the URL media can be
+// created from.
+async function uploadImage(client, buffer, filename) {
+  const data = await client.mutate(
+    `#graphql
+    mutation stageBundleImage($input: [StagedUploadInput!]!) {
+      stagedUploadsCreate(input: $input) {
+        stagedTargets {
+          url
+          resourceUrl
+          parameters {
+            name
+            value
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    {
+      variables: {
+        input: [{ resource: "IMAGE", filename, mimeType: "image/jpeg", httpMethod: "POST" }],
+      },
+    },
+  );
+  const [target] = data.stagedUploadsCreate.stagedTargets;
+
+  const form = new FormData();
+  for (const { name, value } of target.parameters) {
+    form.append(name, value);
+  }
+  form.append("file", new Blob([buffer], { type: "image/jpeg" }), filename);
+
+  let response;
+  try {
+    response = await fetch(target.url, { method: "POST", body: form });
+  } catch (error) {
+    throw new BundleMediaError(`Couldn't upload the collage: ${error.message}`);
+  }
+  if (!response.ok) {
+    throw new BundleMediaError(`Couldn't upload the collage: status ${response.status}`);
+  }
+
+  return target.resourceUrl;
+}
+
+// Adds images of the bundle's products to its product: a collage of them
+// first when `collage` is set, then each product's featured image when
+// `productImages` is, in the bundle's order.
+export async function attachBundleMedia(client, bundle, { productImages = false, collage = false }) {
+  if (!productImages && !collage) return;
+
+  const images = await getComponentImages(
+    client,
+    bundle.components.map(({ productId }) => productId),
+  );
+  if (images.length === 0) return;
+
+  const media = [];
+  if (collage) {
+    media.push({
+      originalSource: await uploadImage(client, await createCollage(images), COLLAGE_FILENAME),
+      alt: `${bundle.title}: ${images
+        .slice(0, COLLAGE_MAX_IMAGES)
+        .map(({ title }) => title)
+        .join(", ")}`,
+      mediaContentType: "IMAGE",
+    });
+  }
+  if (productImages) {
+    media.push(
+      ...images.slice(0, MAX_BUNDLE_MEDIA).map(({ url, alt }) => ({
+        originalSource: url,
+        alt,
+        mediaContentType: "IMAGE",
+      })),
+    );
+  }
+
+  await client.mutate(
+    `#graphql
+    mutation attachBundleMedia($product: ProductUpdateInput!, $media: [CreateMediaInput!]) {
+      productUpdate(product: $product, media: $media) {
+        product {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    { variables: { product: { id: bundle.productId }, media } },
+  );
+}
+
+// Like attachBundleMedia, but logs rather than throws when the images can't
+// be added, since the bundle itself was saved.
+export async function tryAttachBundleMedia(client, bundle, options) {
+  try {
+    await attachBundleMedia(client, bundle, options);
+  } catch (error) {
+    if (!(error instanceof UserErrorsError) && !(error instanceof BundleMediaError)) throw error;
+    console.error(`Failed to add images to bundle ${bundle.productId}:`, error.message);
+  }
+}
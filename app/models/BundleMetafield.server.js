@@ -0,0 +1,329 @@
+import { createHash } from "node:crypto";
+import db from "../db.server";
+import {
+  BUNDLE_METAFIELD_KEY,
+  BUNDLE_METAFIELD_NAMESPACE,
+  LEGACY_BUNDLE_METAFIELD_KEY,
+  LEGACY_BUNDLE_METAFIELD_NAMESPACE,
+} from "./Bundle.server";
+import { BUNDLE_METAFIELD_VERSION, BUNDLE_TYPES } from "../utils/bundleTypes";
+import { DISCOUNT_TYPES, PRICE_ROUNDING, normalizeDiscount } from "../utils/pricing";
+import { UserErrorsError } from "../utils/graphql.server";
+
+// What Shopify checks every bundle metafield value against before saving it.
+// It describes serializeBundleMetafield's output; keep the two in step.
+export const BUNDLE_METAFIELD_SCHEMA = {
+  type: "object",
+  required: ["version", "products", "discount"],
+  properties: {
+    version: { type: "integer", minimum: 1 },
+    type: { enum: Object.values(BUNDLE_TYPES) },
+    products: { type: "array", items: { type: "string" } },
+    components: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["productId", "quantity"],
+        properties: {
+          productId: { type: "string" },
+          variantId: { type: ["string", "null"] },
+          quantity: { type: "integer", minimum: 1 },
+          price: { type: "string" },
+          handle: { type: "string" },
+        },
+      },
+    },
+    pickCount: { type: "integer", minimum: 2 },
+    collectionId: { type: "string" },
+    pool: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["productId", "variantIds"],
+        properties: {
+          productId: { type: "string" },
+          handle: { type: "string" },
+          variantIds: { type: "array", items: { type: "string" } },
+          prices: { type: "array", items: { type: "string" } },
+        },
+      },
+    },
+    discount: {
+      type: "object",
+      required: ["type", "value", "tiers"],
+      properties: {
+        type: { enum: Object.values(DISCOUNT_TYPES) },
+        value: { type: "number", minimum: 0 },
+        tiers: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["minQuantity", "percentage"],
+            properties: {
+              minQuantity: { type: "integer", minimum: 1 },
+              percentage: { type: "number", minimum: 0, maximum: 100 },
+            },
+          },
+        },
+        rounding: { enum: Object.values(PRICE_ROUNDING) },
+        neverBelowCost: { type: "boolean" },
+      },
+    },
+  },
+};
+
+// Merchants can see the definition in the admin but not edit it, and the
+// storefront block reads it.
+const BUNDLE_METAFIELD_DEFINITION = {
+  name: "Bundle definition",
+  description: "The products and discount of a bundle. Managed by the bundles app.",
+  namespace: BUNDLE_METAFIELD_NAMESPACE,
+  key: BUNDLE_METAFIELD_KEY,
+  ownerType: "PRODUCT",
+  validations: [{ name: "schema", value: JSON.stringify(BUNDLE_METAFIELD_SCHEMA) }],
+  access: { admin: "MERCHANT_READ", storefront: "PUBLIC_READ" },
+};
+
+// Creates the bundle metafield definition, or brings an existing one up to
+// date when the schema changed.
+export async function ensureBundleMetafieldDefinition(client) {
+  const data = await client.query(
+    `#graphql
+    query getBundleMetafieldDefinition($namespace: String!, $key: String!) {
+      metafieldDefinitions(first: 1, ownerType: PRODUCT, namespace: $namespace, key: $key) {
+        nodes {
+          id
+          validations {
+            name
+            value
+          }
+        }
+      }
+    }`,
+    { variables: { namespace: BUNDLE_METAFIELD_NAMESPACE, key: BUNDLE_METAFIELD_KEY } },
+  );
+  const existing = data.metafieldDefinitions.nodes[0];
+
+  if (!existing) {
+    await client.mutate(
+      `#graphql
+      mutation createBundleMetafieldDefinition($definition: MetafieldDefinitionInput!) {
+        metafieldDefinitionCreate(definition: $definition) {
+          createdDefinition {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+      { variables: { definition: { ...BUNDLE_METAFIELD_DEFINITION, type: "json" } } },
+    );
+    return;
+  }
+
+  const schema = existing.validations.find(({ name }) => name === "schema")?.value;
+  if (schema === JSON.stringify(BUNDLE_METAFIELD_SCHEMA)) return;
+
+  await client.mutate(
+    `#graphql
+    mutation updateBundleMetafieldDefinition($definition: MetafieldDefinitionUpdateInput!) {
+      metafieldDefinitionUpdate(definition: $definition) {
+        updatedDefinition {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    { variables: { definition: BUNDLE_METAFIELD_DEFINITION } },
+  );
+}
+
+// Bundles from before versioning may hold a bare percentage as their
+// discount, which the schema doesn't allow.
+function migrateValue(value) {
+  const parsed = JSON.parse(value);
+  return JSON.stringify({
+    version: BUNDLE_METAFIELD_VERSION,
+    ...parsed,
+    discount: normalizeDiscount(parsed.discount),
+  });
+}
+
+// Moves the definitions of bundles still in the legacy `custom` metafield to
+// the app-owned one, then deletes the legacy metafield. Values the schema
+// rejects, e.g. ones edited by hand, are logged and left where they are.
+// Resolves to the number of bundles moved and the number left behind.
+export async function migrateLegacyBundleMetafields(client) {
+  let cursor = null;
+  let hasNextPage = true;
+  let migrated = 0;
+  let failed = 0;
+
+  while (hasNextPage) {
+    const data = await client.query(
+      `#graphql
+      query getLegacyBundleMetafields($cursor: String) {
+        products(first: 50, after: $cursor, query: "tag:bundle") {
+          nodes {
+            id
+            metafield(namespace: "$app", key: "bundle") {
+              id
+            }
+            legacyMetafield: metafield(namespace: "custom", key: "bundle_products") {
+              value
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }`,
+      { variables: { cursor } },
+    );
+
+    const moved = [];
+    for (const product of data.products.nodes) {
+      if (!product.legacyMetafield) continue;
+
+      try {
+        // A bundle saved since the app took over already has its definition.
+        if (!product.metafield) {
+          await client.mutate(
+            `#graphql
+            mutation migrateBundleMetafield($metafields: [MetafieldsSetInput!]!) {
+              metafieldsSet(metafields: $metafields) {
+                userErrors {
+                  field
+                  message
+                }
+              }
+            }`,
+            {
+              variables: {
+                metafields: [
+                  {
+                    ownerId: product.id,
+                    namespace: BUNDLE_METAFIELD_NAMESPACE,
+                    key: BUNDLE_METAFIELD_KEY,
+                    type: "json",
+                    value: migrateValue(product.legacyMetafield.value),
+                  },
+                ],
+              },
+            },
+          );
+        }
+        moved.push(product.id);
+      } catch (error) {
+        if (!(error instanceof UserErrorsError) && !(error instanceof SyntaxError)) throw error;
+        console.error(`Failed to migrate the bundle metafield of ${product.id}:`, error.message);
+        failed += 1;
+      }
+    }
+
+    if (moved.length > 0) {
+      await client.mutate(
+        `#graphql
+        mutation deleteLegacyBundleMetafields($metafields: [MetafieldIdentifierInput!]!) {
+          metafieldsDelete(metafields: $metafields) {
+            deletedMetafields {
+              ownerId
+            }
+            userErrors {
+              field
+              message
+            }
+          }
+        }`,
+        {
+          variables: {
+            metafields: moved.map((ownerId) => ({
+              ownerId,
+              namespace: LEGACY_BUNDLE_METAFIELD_NAMESPACE,
+              key: LEGACY_BUNDLE_METAFIELD_KEY,
+            })),
+          },
+        },
+      );
+    }
+
+    migrated += moved.length;
+    hasNextPage = data.products.pageInfo.hasNextPage;
+    cursor = data.products.pageInfo.endCursor;
+  }
+
+  return { migrated, failed };
+}
+
+const LEGACY_MIGRATION_CLAIM_MS = 60 * 60 * 1000;
+
+const BUNDLE_METAFIELD_SCHEMA_HASH = createHash("sha256")
+  .update(JSON.stringify(BUNDLE_METAFIELD_SCHEMA))
+  .digest("hex");
+
+// Sets up the bundle metafield when a shop logs in, doing each step once
+// rather than on every login: the definition is only brought up to date when
+// the schema changed since, and bundles are only moved off the legacy
+// metafield until a migration moves every one of them. The migration reads
+// every bundle product, so it runs after login rather than holding it up, and
+// is retried on the next login when it fails or leaves values behind.
+export async function setUpBundleMetafield(shop, client) {
+  const setup = await db.shopSetup.findUnique({ where: { shop } });
+
+  if (setup?.bundleMetafieldSchema !== BUNDLE_METAFIELD_SCHEMA_HASH) {
+    await ensureBundleMetafieldDefinition(client);
+    await db.shopSetup.upsert({
+      where: { shop },
+      create: { shop, bundleMetafieldSchema: BUNDLE_METAFIELD_SCHEMA_HASH },
+      update: { bundleMetafieldSchema: BUNDLE_METAFIELD_SCHEMA_HASH },
+    });
+  }
+
+  if (!setup?.legacyMetafieldsMigratedAt) {
+    // Claimed with a conditional update, so of simultaneous logins only one
+    // runs it. A claim older than LEGACY_MIGRATION_CLAIM_MS is from a run
+    // that died and may be taken over.
+    const now = new Date();
+    const { count } = await db.shopSetup.updateMany({
+      where: {
+        shop,
+        legacyMetafieldsMigratedAt: null,
+        OR: [
+          { legacyMetafieldsMigrationStartedAt: null },
+          {
+            legacyMetafieldsMigrationStartedAt: {
+              lt: new Date(now.getTime() - LEGACY_MIGRATION_CLAIM_MS),
+            },
+          },
+        ],
+      },
+      data: { legacyMetafieldsMigrationStartedAt: now },
+    });
+    if (count === 0) return;
+
+    migrateLegacyBundleMetafields(client)
+      .then(({ failed }) =>
+        db.shopSetup.update({
+          where: { shop },
+          data: {
+            legacyMetafieldsMigrationStartedAt: null,
+            legacyMetafieldsMigratedAt: failed === 0 ? new Date() : null,
+          },
+        }),
+      )
+      .catch((error) => {
+        console.error(`Failed to migrate the bundle metafields of ${shop}:`, error);
+        return db.shopSetup.update({
+          where: { shop },
+          data: { legacyMetafieldsMigrationStartedAt: null },
+        });
+      })
+      .catch((error) => console.error(`Failed to release the metafield migration of ${shop}:`, error));
+  }
+}
@@ -0,0 +1,179 @@
+import db from "../db.server";
+import { getBundles, withAllVariants } from "./Bundle.server";
+import { BUNDLE_TYPES } from "../utils/bundleTypes";
+import { fetchNodes } from "../utils/graphql.server";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOOKBACK_DAYS = 365;
+
+// A set of products is only suggested when at least this many orders bought
+// them together, and shoppers bought them together more often than chance.
+export const MIN_ORDERS = 3;
+export const MIN_LIFT = 1;
+const MAX_SUGGESTIONS = 6;
+
+// Orders with more products than this, like wholesale restocks, say little
+// about which products go together and would make counting triples slow.
+const MAX_ORDER_PRODUCTS = 30;
+
+// Product IDs sorted, so a set of products has one key.
+function itemsetKey(productIds) {
+  return [...productIds].sort().join(" ");
+}
+
+function increment(counts, key) {
+  counts.set(key, (counts.get(key) ?? 0) + 1);
+}
+
+// Finds the pairs and triples of products bought together in at least
+// `minOrders` of the orders, each a set of product IDs, Apriori style: only
+// products that sell that often are paired, and only pairs that do are
+// extended to triples. Each itemset gets its support, the share of orders it
+// is in, and the confidence and lift of its strongest rule: how often orders
+// with all but one of its products also have the last one, and how much more
+// often that is than the last product sells on its own. Sorted by lift, then
+// support.
+export function findFrequentItemsets(orders, { minOrders = MIN_ORDERS, minLift = MIN_LIFT } = {}) {
+  const total = orders.length;
+  const counts = new Map();
+  const baskets = orders
+    .map((productIds) => [...new Set(productIds)].sort())
+    .filter((productIds) => productIds.length > 1 && productIds.length <= MAX_ORDER_PRODUCTS);
+
+  for (const productIds of orders) {
+    for (const productId of new Set(productIds)) increment(counts, productId);
+  }
+  const isFrequent = (key) => (counts.get(key) ?? 0) >= minOrders;
+
+  const frequentBaskets = baskets.map((productIds) => productIds.filter((id) => isFrequent(id)));
+  for (const productIds of frequentBaskets) {
+    for (let i = 0; i < productIds.length; i++) {
+      for (let j = i + 1; j < productIds.length; j++) {
+        increment(counts, itemsetKey([productIds[i], productIds[j]]));
+      }
+    }
+  }
+  for (const productIds of frequentBaskets) {
+    for (let i = 0; i < productIds.length; i++) {
+      for (let j = i + 1; j < productIds.length; j++) {
+        if (!isFrequent(itemsetKey([productIds[i], productIds[j]]))) continue;
+        for (let k = j + 1; k < productIds.length; k++) {
+          if (
+            isFrequent(itemsetKey([productIds[i], productIds[k]])) &&
+            isFrequent(itemsetKey([productIds[j], productIds[k]]))
+          ) {
+            increment(counts, itemsetKey([productIds[i], productIds[j], productIds[k]]));
+          }
+        }
+      }
+    }
+  }
+
+  const itemsets = [];
+  for (const [key, count] of counts) {
+    const productIds = key.split(" ");
+    if (productIds.length < 2 || count < minOrders) continue;
+
+    let best = null;
+    for (const consequent of productIds) {
+      const antecedent = productIds.filter((id) => id !== consequent);
+      const confidence = count / counts.get(itemsetKey(antecedent));
+      const lift = confidence / (counts.get(consequent) / total);
+      if (!best || confidence > best.confidence) best = { confidence, lift };
+    }
+    if (best.lift <= minLift) continue;
+
+    itemsets.push({ productIds, orders: count, support: count / total, ...best });
+  }
+
+  return itemsets.sort((a, b) => b.lift - a.lift || b.support - a.support);
+}
+
+const SUGGESTED_PRODUCTS_QUERY = `#graphql
+  query getSuggestedProducts($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on Product {
+        id
+        title
+        status
+        featuredMedia {
+          preview {
+            image {
+              url
+              altText
+            }
+          }
+        }
+        priceRangeV2 {
+          minVariantPrice {
+            amount
+            currencyCode
+          }
+        }
+        variants(first: 20) {
+          nodes {
+            id
+            title
+            price
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  }`;
+
+// Products shoppers of the shop often buy together, from the orders of the
+// last year the app stores, as suggestions for new fixed bundles. Bundles are
+// left out of the orders, and product sets a fixed bundle already sells are
+// not suggested again, nor are sets with a product that was archived or
+// deleted. Each suggestion carries its products as the bundle creator lists
+// them.
+export async function getBundleSuggestions(shop, client, now = new Date()) {
+  const [lines, bundles] = await Promise.all([
+    db.shopOrderLine.findMany({
+      where: { order: { shop, processedAt: { gte: new Date(now.getTime() - LOOKBACK_DAYS * DAY_MS) } } },
+      select: { orderId: true, productId: true },
+    }),
+    getBundles(shop),
+  ]);
+
+  const bundleProductIds = new Set(bundles.map(({ productId }) => productId));
+  const productIdsByOrder = new Map();
+  for (const { orderId, productId } of lines) {
+    const productIds = productIdsByOrder.get(orderId) ?? [];
+    if (!bundleProductIds.has(productId)) productIds.push(productId);
+    productIdsByOrder.set(orderId, productIds);
+  }
+
+  const bundledSets = new Set(
+    bundles
+      .filter(({ type }) => type === BUNDLE_TYPES.FIXED)
+      .map(({ components }) => itemsetKey(new Set(components.map(({ productId }) => productId)))),
+  );
+  const itemsets = findFrequentItemsets([...productIdsByOrder.values()])
+    .filter(({ productIds }) => !bundledSets.has(itemsetKey(productIds)))
+    // Some of these may drop out below, so a few spares are kept.
+    .slice(0, MAX_SUGGESTIONS * 2);
+
+  const productsById = await fetchNodes(
+    client,
+    SUGGESTED_PRODUCTS_QUERY,
+    itemsets.flatMap(({ productIds }) => productIds),
+  );
+  const suggestions = itemsets
+    .map((itemset) => ({
+      ...itemset,
+      products: itemset.productIds.map((id) => productsById[id]),
+    }))
+    .filter(({ products }) => products.every((product) => product && product.status !== "ARCHIVED"))
+    .slice(0, MAX_SUGGESTIONS);
+
+  for (const suggestion of suggestions) {
+    suggestion.products = await withAllVariants(client, suggestion.products);
+  }
+
+  return { orderCount: productIdsByOrder.size, suggestions };
+}
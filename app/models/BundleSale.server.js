@@ -0,0 +1,196 @@
+import { getBundlesByProductIds } from "./Bundle.server";
+import { DISCOUNT_TYPES, getSubtotal, getTierPercentage, roundMoney } from "../utils/pricing";
+
+// Order webhook payloads use the REST representation, with numeric IDs.
+function toGid(type, id) {
+  return id ? `gid://shopify/${type}/${id}` : null;
+}
+
+// Payloads carry amounts in both the shop's and the shopper's currency. Sales
+// are recorded in the shop's, like bundle prices, so they can be added up
+// across orders; payloads without the split amounts are in it already.
+function shopAmount(amountSet, amount) {
+  return parseFloat(amountSet?.shop_money?.amount ?? amount);
+}
+
+function sumDiscountAllocations(lineItem) {
+  return (lineItem.discount_allocations ?? []).reduce(
+    (sum, allocation) => sum + shopAmount(allocation.amount_set, allocation.amount),
+    0,
+  );
+}
+
+// Groups an order's line items by the bundle product they were sold as.
+// Bundles the cart transform expanded arrive as component line items sharing
+// a `sales_line_item_group_id` from the order's `line_item_groups`; a bundle
+// line that wasn't expanded arrives as the bundle product itself.
+export function getBundleLines(order, bundleProductIds) {
+  const linesByProductId = new Map();
+  const add = (productId, quantity, lineItems) => {
+    const entry = linesByProductId.get(productId) ?? { productId, quantity: 0, lineItems: [] };
+    entry.quantity += quantity;
+    entry.lineItems.push(...lineItems);
+    linesByProductId.set(productId, entry);
+  };
+
+  for (const group of order.line_item_groups ?? []) {
+    const productId = toGid("Product", group.product_id);
+    if (!bundleProductIds.has(productId)) continue;
+
+    add(
+      productId,
+      group.quantity,
+      order.line_items.filter(({ sales_line_item_group_id }) => sales_line_item_group_id === group.id),
+    );
+  }
+
+  for (const lineItem of order.line_items) {
+    if (lineItem.sales_line_item_group_id != null) continue;
+
+    const productId = toGid("Product", lineItem.product_id);
+    if (bundleProductIds.has(productId)) add(productId, lineItem.quantity, [lineItem]);
+  }
+
+  return [...linesByProductId.values()];
+}
+
+// The products bought in an order, one per product and variant. A bundle the
+// cart transform expanded counts as the bundle product rather than as its
+// components, and line items without a product, like custom items, are left
+// out.
+export function getOrderLines(order) {
+  const linesByKey = new Map();
+  const add = (productId, variantId, quantity) => {
+    if (!productId) return;
+    const key = `${productId} ${variantId}`;
+    const line = linesByKey.get(key) ?? { productId, variantId, quantity: 0 };
+    line.quantity += quantity;
+    linesByKey.set(key, line);
+  };
+
+  for (const group of order.line_item_groups ?? []) {
+    add(toGid("Product", group.product_id), toGid("ProductVariant", group.variant_id), group.quantity);
+  }
+  for (const lineItem of order.line_items) {
+    if (lineItem.sales_line_item_group_id != null) continue;
+    add(
+      toGid("Product", lineItem.product_id),
+      toGid("ProductVariant", lineItem.variant_id),
+      lineItem.quantity,
+    );
+  }
+
+  return [...linesByKey.values()];
+}
+
+// Replaces the stored lines of an order, as both order webhooks and the order
+// history import carry the whole order.
+export async function recordOrderLines(tx, shopOrderId, lines) {
+  await tx.shopOrderLine.deleteMany({ where: { orderId: shopOrderId } });
+  if (lines.length === 0) return;
+  await tx.shopOrderLine.createMany({
+    data: lines.map((line) => ({ orderId: shopOrderId, ...line })),
+  });
+}
+
+// How much the bundle discount took off `charged`, the amount `quantity`
+// bundles sold for before any order discounts.
+export function getBundleDiscountGiven(bundle, quantity, charged) {
+  const { type, value, tiers } = bundle.discount;
+  let listPrice;
+
+  switch (type) {
+    case DISCOUNT_TYPES.FIXED_AMOUNT:
+    case DISCOUNT_TYPES.FIXED_PRICE:
+      listPrice = getSubtotal(bundle.components) * quantity;
+      break;
+    default: {
+      const percentage = type === DISCOUNT_TYPES.TIERED ? getTierPercentage(tiers, quantity) : value;
+      listPrice = percentage < 100 ? charged / (1 - percentage / 100) : charged;
+    }
+  }
+
+  return roundMoney(Math.max(listPrice - charged, 0));
+}
+
+// Records an order and the bundles sold in it, given the `orders/create` or
+// `orders/paid` webhook payload. Both topics carry the whole order, so either
+// can arrive first; `paidAt` is only set once the order is paid.
+export async function recordBundleSales(tx, shop, order, { paidAt = null } = {}) {
+  const orderedAt = new Date(order.processed_at ?? order.created_at);
+  const orderData = {
+    name: order.name,
+    totalPrice: shopAmount(order.total_price_set, order.total_price),
+    currency: order.total_price_set?.shop_money?.currency_code ?? order.currency,
+    processedAt: orderedAt,
+  };
+  const shopOrder = await tx.shopOrder.upsert({
+    where: { shop_orderId: { shop, orderId: order.admin_graphql_api_id } },
+    create: { shop, orderId: order.admin_graphql_api_id, ...orderData },
+    update: orderData,
+  });
+  await recordOrderLines(tx, shopOrder.id, getOrderLines(order));
+
+  const candidateProductIds = [
+    ...(order.line_item_groups ?? []).map(({ product_id }) => toGid("Product", product_id)),
+    ...order.line_items.map(({ product_id }) => toGid("Product", product_id)),
+  ].filter(Boolean);
+  if (candidateProductIds.length === 0) return [];
+
+  const bundles = await getBundlesByProductIds(shop, [...new Set(candidateProductIds)], tx);
+  const bundlesByProductId = new Map(bundles.map((bundle) => [bundle.productId, bundle]));
+  const bundleLines = getBundleLines(order, new Set(bundlesByProductId.keys()));
+
+  const sales = [];
+  for (const { productId, quantity, lineItems } of bundleLines) {
+    const bundle = bundlesByProductId.get(productId);
+    const charged = lineItems.reduce(
+      (sum, lineItem) => sum + shopAmount(lineItem.price_set, lineItem.price) * lineItem.quantity,
+      0,
+    );
+    const orderDiscounts = lineItems.reduce((sum, lineItem) => sum + sumDiscountAllocations(lineItem), 0);
+    const data = {
+      quantity,
+      revenue: roundMoney(charged - orderDiscounts),
+      discount: getBundleDiscountGiven(bundle, quantity, charged),
+    };
+
+    sales.push(
+      await tx.bundleSale.upsert({
+        where: {
+          shop_orderId_productId: { shop, orderId: order.admin_graphql_api_id, productId },
+        },
+        create: {
+          shop,
+          bundleId: bundle.id,
+          productId,
+          orderId: order.admin_graphql_api_id,
+          orderName: order.name,
+          currency: orderData.currency,
+          orderedAt,
+          paidAt,
+          ...data,
+          components: {
+            create: lineItems
+              .filter((lineItem) => toGid("Product", lineItem.product_id) !== productId)
+              .map((lineItem) => ({
+                productId: toGid("Product", lineItem.product_id),
+                variantId: toGid("ProductVariant", lineItem.variant_id),
+                title: lineItem.variant_title
+                  ? `${lineItem.title} - ${lineItem.variant_title}`
+                  : lineItem.title,
+                quantity: lineItem.quantity,
+                price: shopAmount(lineItem.price_set, lineItem.price),
+              })),
+          },
+        },
+        update: {
+          ...data,
+          ...(paidAt && { paidAt }),
+        },
+      }),
+    );
+  }
+
+  return sales;
+}
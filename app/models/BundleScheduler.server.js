@@ -0,0 +1,72 @@
+import { unauthenticated } from "../shopify.server";
+import { getBundlesDueForSchedule, setBundleStatus } from "./Bundle.server";
+import { getScheduledStatus } from "../utils/bundleSchedule";
+import { createAdminClient, UserErrorsError } from "../utils/graphql.server";
+
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+// Activates bundles whose start has passed and archives those whose end has,
+// using each shop's offline session. A shop that fails doesn't hold up the
+// others; its bundles are retried on the next run.
+export async function runBundleSchedules(now = new Date()) {
+  const bundlesByShop = new Map();
+  for (const bundle of await getBundlesDueForSchedule(now)) {
+    bundlesByShop.set(bundle.shop, [...(bundlesByShop.get(bundle.shop) ?? []), bundle]);
+  }
+
+  for (const [shop, shopBundles] of bundlesByShop) {
+    let client;
+    try {
+      const { admin } = await unauthenticated.admin(shop);
+      client = createAdminClient(admin, shop);
+    } catch (error) {
+      console.error(`Failed to run bundle schedules for ${shop}:`, error);
+      continue;
+    }
+
+    for (const bundle of shopBundles) {
+      const status = getScheduledStatus(bundle, now);
+      if (status === bundle.status) continue;
+
+      try {
+        await setBundleStatus(shop, client, bundle, status);
+        console.log(`Set bundle ${bundle.productId} of ${shop} to ${status}`);
+      } catch (error) {
+        if (error instanceof UserErrorsError) {
+          console.error(`Failed to set bundle ${bundle.productId} to ${status}:`, error.userErrors);
+          continue;
+        }
+        // Throttling, a revoked token or a network failure likely fails the
+        // shop's other bundles too, so they wait for the next run.
+        console.error(`Failed to run bundle schedules for ${shop}:`, error);
+        break;
+      }
+    }
+  }
+}
+
+// Runs the schedules every minute for as long as the app server is up. Dev
+// server reloads re-import this module, so the timer lives on `global` to
+// start only once per process.
+export function startBundleScheduler() {
+  if (global.bundleSchedulerTimer) return;
+
+  let running = false;
+  const run = async () => {
+    // A slow run, e.g. one waiting out API throttling, isn't overlapped.
+    if (running) return;
+    running = true;
+    try {
+      await runBundleSchedules();
+    } catch (error) {
+      console.error("Bundle scheduler run failed:", error);
+    } finally {
+      running = false;
+    }
+  };
+
+  global.bundleSchedulerTimer = setInterval(run, SCHEDULER_INTERVAL_MS);
+  // The timer alone shouldn't keep the process alive, e.g. in scripts.
+  global.bundleSchedulerTimer.unref();
+  run();
+}
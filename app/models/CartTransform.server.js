@@ -0,0 +1,42 @@
+// The bundle cart transform function only runs once the shop has a cart
+// transform pointing at it. A shop can have a single cart transform per
+// function, so this is a no-op when one already exists.
+export async function ensureBundleCartTransform(client) {
+  const functionId = process.env.SHOPIFY_BUNDLE_CART_TRANSFORM_ID;
+  if (!functionId) {
+    console.warn("SHOPIFY_BUNDLE_CART_TRANSFORM_ID is not set, skipping cart transform registration");
+    return;
+  }
+
+  const data = await client.query(
+    `#graphql
+    query getCartTransforms {
+      cartTransforms(first: 10) {
+        nodes {
+          id
+          functionId
+        }
+      }
+    }`,
+  );
+
+  if (data.cartTransforms.nodes.some((node) => node.functionId === functionId)) {
+    return;
+  }
+
+  await client.mutate(
+    `#graphql
+    mutation createCartTransform($functionId: String!) {
+      cartTransformCreate(functionId: $functionId, blockOnFailure: false) {
+        cartTransform {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    { variables: { functionId } },
+  );
+}
@@ -0,0 +1,306 @@
+import { createInterface } from "node:readline";
+import { Readable } from "node:stream";
+import db from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { recordOrderLines } from "./BundleSale.server";
+import { chunk, createAdminClient } from "../utils/graphql.server";
+
+// Orders saved per transaction while importing.
+const IMPORT_BATCH_SIZE = 100;
+
+export const ORDER_IMPORT_STATUSES = {
+  PENDING: "PENDING",
+  COMPLETED: "COMPLETED",
+  FAILED: "FAILED",
+};
+
+// An export that fails this many times in a row is given up on; the merchant
+// can start another.
+const MAX_IMPORT_ATTEMPTS = 5;
+const IMPORT_RETRY_INTERVAL_MS = 5 * 60 * 1000;
+
+// Bulk operations take a query without variables. Without the
+// read_all_orders scope Shopify only returns the last 60 days of orders.
+const ORDER_HISTORY_QUERY = `#graphql
+  {
+    orders(sortKey: PROCESSED_AT) {
+      edges {
+        node {
+          id
+          name
+          processedAt
+          currencyCode
+          totalPriceSet {
+            shopMoney {
+              amount
+            }
+          }
+          lineItems {
+            edges {
+              node {
+                quantity
+                product {
+                  id
+                }
+                variant {
+                  id
+                }
+                lineItemGroup {
+                  id
+                  productId
+                  variantId
+                  quantity
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }`;
+
+// Asks Shopify to export every order it shares with the app. Shopify sends
+// the bulk_operations/finish webhook once the export is ready, which queues
+// it for importing. Throws UserErrorsError when an export is already running.
+export async function startOrderImport(client) {
+  const data = await client.mutate(
+    `#graphql
+    mutation startOrderImport($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    { variables: { query: ORDER_HISTORY_QUERY } },
+  );
+
+  return data.bulkOperationRunQuery.bulkOperation;
+}
+
+// The app's latest order export, or null before the first one. The app runs
+// no other bulk queries.
+export async function getOrderImportStatus(client) {
+  const data = await client.query(
+    `#graphql
+    query getOrderImportStatus {
+      currentBulkOperation(type: QUERY) {
+        id
+        status
+        errorCode
+        objectCount
+        createdAt
+        completedAt
+      }
+    }`,
+  );
+
+  return data.currentBulkOperation;
+}
+
+// The URL of a finished export's results, or null when it found nothing.
+export async function getOrderExportUrl(client, bulkOperationId) {
+  const data = await client.query(
+    `#graphql
+    query getOrderExport($id: ID!) {
+      node(id: $id) {
+        ... on BulkOperation {
+          url
+        }
+      }
+    }`,
+    { variables: { id: bulkOperationId } },
+  );
+
+  return data.node?.url ?? null;
+}
+
+// Collects an exported order's line items into the lines recordOrderLines
+// saves, the same way getOrderLines does for webhook payloads: a bundle the
+// cart transform expanded counts once as the bundle product.
+function addExportedLine(order, lineItem) {
+  const group = lineItem.lineItemGroup;
+  if (group) {
+    if (order.groupIds.has(group.id)) return;
+    order.groupIds.add(group.id);
+  }
+
+  const productId = group ? group.productId : lineItem.product?.id;
+  const variantId = (group ? group.variantId : lineItem.variant?.id) ?? null;
+  if (!productId) return;
+
+  const key = `${productId} ${variantId}`;
+  const line = order.linesByKey.get(key) ?? { productId, variantId, quantity: 0 };
+  line.quantity += group ? group.quantity : lineItem.quantity;
+  order.linesByKey.set(key, line);
+}
+
+async function saveExportedOrders(shop, orders) {
+  await db.$transaction(async (tx) => {
+    for (const order of orders) {
+      const orderData = {
+        name: order.name,
+        totalPrice: parseFloat(order.totalPriceSet.shopMoney.amount),
+        currency: order.currencyCode,
+        processedAt: new Date(order.processedAt),
+      };
+      const shopOrder = await tx.shopOrder.upsert({
+        where: { shop_orderId: { shop, orderId: order.id } },
+        create: { shop, orderId: order.id, ...orderData },
+        update: orderData,
+      });
+      await recordOrderLines(tx, shopOrder.id, [...order.linesByKey.values()]);
+    }
+  });
+}
+
+// Saves the orders of a finished export, and the products bought in them,
+// reading the JSONL results line by line as they can run to many megabytes.
+// Line items point at their order with `__parentId`, which Shopify doesn't
+// promise comes before them, so orders are only saved once the whole export
+// is read. Orders already stored are updated; bundle sales aren't recorded,
+// as those come from the order webhooks. Resolves to the number of orders
+// saved.
+export async function importOrderHistory(shop, url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Couldn't download the order export: status ${response.status}`);
+  }
+
+  const ordersById = new Map();
+  const lineItemsByOrderId = new Map();
+
+  const lines = createInterface({ input: Readable.fromWeb(response.body), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const row = JSON.parse(line);
+
+    if (row.__parentId) {
+      const order = ordersById.get(row.__parentId);
+      if (order) {
+        addExportedLine(order, row);
+      } else {
+        lineItemsByOrderId.set(row.__parentId, [
+          ...(lineItemsByOrderId.get(row.__parentId) ?? []),
+          row,
+        ]);
+      }
+      continue;
+    }
+
+    const order = { ...row, linesByKey: new Map(), groupIds: new Set() };
+    for (const lineItem of lineItemsByOrderId.get(order.id) ?? []) addExportedLine(order, lineItem);
+    lineItemsByOrderId.delete(order.id);
+    ordersById.set(order.id, order);
+  }
+
+  for (const orders of chunk([...ordersById.values()], IMPORT_BATCH_SIZE)) {
+    await saveExportedOrders(shop, orders);
+  }
+
+  return ordersById.size;
+}
+
+// Queues a finished export for importing, with `tx` the transaction of the
+// webhook that announced it, so the export is either queued or the webhook
+// redelivered.
+export async function queueOrderImport(tx, shop, bulkOperationId) {
+  return tx.orderImport.upsert({
+    where: { shop_bulkOperationId: { shop, bulkOperationId } },
+    create: { shop, bulkOperationId },
+    update: {},
+  });
+}
+
+// Imports currently running in this process, so a retry doesn't start one
+// that is still going. Dev server reloads re-import this module, so the set
+// lives on `global`.
+global.runningOrderImports ??= new Set();
+
+// Makes one attempt at a queued import, with the shop's offline session when
+// no client is given. The outcome is stored on the import: a failure leaves it
+// pending for retryOrderImports, until it has failed MAX_IMPORT_ATTEMPTS times.
+export async function runOrderImport(orderImport, client = null) {
+  const { id, shop, bulkOperationId } = orderImport;
+  if (global.runningOrderImports.has(id)) return;
+  global.runningOrderImports.add(id);
+
+  const attempts = orderImport.attempts + 1;
+  try {
+    // Counted up front, so an attempt cut short by a restart counts too.
+    await db.orderImport.update({ where: { id }, data: { attempts } });
+    if (!client) {
+      const { admin } = await unauthenticated.admin(shop);
+      client = createAdminClient(admin, shop);
+    }
+
+    const url = await getOrderExportUrl(client, bulkOperationId);
+    const importedCount = url ? await importOrderHistory(shop, url) : 0;
+    await db.orderImport.update({
+      where: { id },
+      data: { status: ORDER_IMPORT_STATUSES.COMPLETED, importedCount, error: null },
+    });
+    console.log(`Imported ${importedCount} orders for ${shop}`);
+  } catch (error) {
+    console.error(`Failed to import the order history of ${shop}:`, error);
+    await db.orderImport.update({
+      where: { id },
+      data: {
+        status:
+          attempts >= MAX_IMPORT_ATTEMPTS
+            ? ORDER_IMPORT_STATUSES.FAILED
+            : ORDER_IMPORT_STATUSES.PENDING,
+        error: error.message,
+      },
+    });
+  } finally {
+    global.runningOrderImports.delete(id);
+  }
+}
+
+// Retries every import still pending, whether its last attempt failed or was
+// cut short, one at a time. An import that can't even record its outcome,
+// e.g. as its shop was redacted meanwhile, doesn't hold up the others.
+export async function retryOrderImports() {
+  const orderImports = await db.orderImport.findMany({
+    where: { status: ORDER_IMPORT_STATUSES.PENDING },
+    orderBy: { createdAt: "asc" },
+  });
+
+  for (const orderImport of orderImports) {
+    try {
+      await runOrderImport(orderImport);
+    } catch (error) {
+      console.error(`Failed to retry the order import of ${orderImport.shop}:`, error);
+    }
+  }
+}
+
+// Retries pending imports every few minutes for as long as the app server is
+// up, starting with any a restart interrupted. Like the bundle scheduler, the
+// timer lives on `global` to start only once per process.
+export function startOrderImportRetries() {
+  if (global.orderImportRetryTimer) return;
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await retryOrderImports();
+    } catch (error) {
+      console.error("Order import retry run failed:", error);
+    } finally {
+      running = false;
+    }
+  };
+
+  global.orderImportRetryTimer = setInterval(run, IMPORT_RETRY_INTERVAL_MS);
+  global.orderImportRetryTimer.unref();
+  run();
+}
@@ -0,0 +1,116 @@
+import db from "../db.server";
+
+// Compliance webhooks identify orders by numeric ID; the app stores GIDs.
+function orderGids(orderIds) {
+  return orderIds.map((id) => `gid://shopify/Order/${id}`);
+}
+
+// Everything the app stores about the given orders of a customer. The app
+// keeps no customer contact details, only the orders' names and totals, the
+// products bought in them and the bundles sold in them.
+export async function getCustomerOrderData(shop, orderIds) {
+  const ids = orderGids(orderIds);
+  const [orders, bundleSales] = await Promise.all([
+    db.shopOrder.findMany({
+      where: { shop, orderId: { in: ids } },
+      select: {
+        orderId: true,
+        name: true,
+        totalPrice: true,
+        currency: true,
+        processedAt: true,
+        lines: { select: { productId: true, variantId: true, quantity: true } },
+      },
+    }),
+    db.bundleSale.findMany({
+      where: { shop, orderId: { in: ids } },
+      select: {
+        orderId: true,
+        orderName: true,
+        quantity: true,
+        revenue: true,
+        discount: true,
+        currency: true,
+        orderedAt: true,
+        paidAt: true,
+        components: { select: { title: true, quantity: true, price: true } },
+      },
+    }),
+  ]);
+
+  return { orders, bundleSales };
+}
+
+// Keeps a customer's data request, from the customers/data_request webhook
+// payload, until the merchant downloads the data. A redelivered request is
+// stored once.
+export async function recordCustomerDataRequest(shop, payload) {
+  const requestId = String(payload.data_request.id);
+  const data = {
+    customerId: payload.customer?.id ? String(payload.customer.id) : null,
+    orderIds: JSON.stringify(payload.orders_requested ?? []),
+  };
+
+  return db.customerDataRequest.upsert({
+    where: { shop_requestId: { shop, requestId } },
+    create: { shop, requestId, ...data },
+    update: data,
+  });
+}
+
+export async function getCustomerDataRequests(shop) {
+  return db.customerDataRequest.findMany({ where: { shop }, orderBy: { createdAt: "desc" } });
+}
+
+// The data of a customer's request, as the merchant sends it on, or null when
+// the request isn't the shop's.
+export async function exportCustomerDataRequest(shop, id) {
+  const request = await db.customerDataRequest.findFirst({ where: { id: Number(id), shop } });
+  if (!request) return null;
+
+  return {
+    requestId: request.requestId,
+    customerId: request.customerId,
+    requestedAt: request.createdAt,
+    ...(await getCustomerOrderData(shop, JSON.parse(request.orderIds))),
+  };
+}
+
+// Deletes what the app stores about the given orders of a customer, and the
+// customer's data requests. Order lines and sale components go with their
+// orders and sales.
+export async function redactCustomerOrders(shop, orderIds, customerId = null) {
+  const ids = orderGids(orderIds);
+
+  return db.$transaction(async (tx) => {
+    const { count: bundleSales } = await tx.bundleSale.deleteMany({
+      where: { shop, orderId: { in: ids } },
+    });
+    const { count: orders } = await tx.shopOrder.deleteMany({
+      where: { shop, orderId: { in: ids } },
+    });
+    const { count: dataRequests } = customerId
+      ? await tx.customerDataRequest.deleteMany({ where: { shop, customerId: String(customerId) } })
+      : { count: 0 };
+
+    return { orders, bundleSales, dataRequests };
+  });
+}
+
+// Deletes every row the app stores for the shop. Bundle components, order
+// lines and sale components go with their bundles, orders and sales.
+export async function redactShop(shop) {
+  return db.$transaction(async (tx) => {
+    const deleted = {};
+    deleted.bundleSales = (await tx.bundleSale.deleteMany({ where: { shop } })).count;
+    deleted.bundles = (await tx.bundle.deleteMany({ where: { shop } })).count;
+    deleted.orders = (await tx.shopOrder.deleteMany({ where: { shop } })).count;
+    deleted.orderImports = (await tx.orderImport.deleteMany({ where: { shop } })).count;
+    deleted.dataRequests = (await tx.customerDataRequest.deleteMany({ where: { shop } })).count;
+    deleted.webhookEvents = (await tx.webhookEvent.deleteMany({ where: { shop } })).count;
+    deleted.setup = (await tx.shopSetup.deleteMany({ where: { shop } })).count;
+    deleted.sessions = (await tx.session.deleteMany({ where: { shop } })).count;
+
+    return deleted;
+  });
+}
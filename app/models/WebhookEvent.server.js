@@ -0,0 +1,17 @@
+import db from "../db.server";
+
+// Runs `handle` at most once per webhook delivery. Shopify redelivers a
+// webhook with the same ID until it is acknowledged, so the ID is recorded in
+// the same transaction as the handler's writes: a failed attempt leaves no
+// trace and is retried, a successful one is skipped. Resolves to false for a
+// delivery that was already handled.
+export async function processWebhookOnce({ webhookId, shop, topic }, handle) {
+  return db.$transaction(async (tx) => {
+    const existing = await tx.webhookEvent.findUnique({ where: { id: webhookId } });
+    if (existing) return false;
+
+    await tx.webhookEvent.create({ data: { id: webhookId, shop, topic } });
+    await handle(tx);
+    return true;
+  });
+}
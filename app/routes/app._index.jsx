@@ -1,328 +1,232 @@
-import { useEffect } from "react";
-import { useFetcher } from "@remix-run/react";
+import { json } from "@remix-run/node";
+import { useCallback, useState } from "react";
+import { useLoaderData, useSearchParams } from "@remix-run/react";
 import {
   Page,
   Layout,
   Text,
   Card,
-  Button,
   BlockStack,
-  Box,
-  List,
-  Link,
   InlineStack,
+  InlineGrid,
+  Select,
+  TextField,
+  DataTable,
+  Banner,
 } from "@shopify/polaris";
-import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
-import { authenticate } from "../shopify.server";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { authenticateAdmin } from "../shopify.server";
+import { getBundleAnalytics, getDateRange } from "../models/BundleAnalytics.server";
+import { getShopFormat } from "../models/BundleMarkets.server";
+import { SalesChart } from "../components/SalesChart";
+import { downloadFile } from "../utils/download";
+import { formatMoney } from "../utils/pricing";
+
+const RANGE_PRESETS = [
+  { label: "Last 7 days", value: "7" },
+  { label: "Last 30 days", value: "30" },
+  { label: "Last 90 days", value: "90" },
+  { label: "Last 365 days", value: "365" },
+  { label: "Custom", value: "custom" },
+];
 
 export const loader = async ({ request }) => {
-  await authenticate.admin(request);
+  const { client, session } = await authenticateAdmin(request);
+  const { currencyCode, locale, timeZone } = await getShopFormat(client);
+  const range = getDateRange(new URL(request.url).searchParams, timeZone);
+  const analytics = await getBundleAnalytics(session.shop, range);
 
-  return null;
+  return json({
+    ...analytics,
+    from: range.from,
+    to: range.to,
+    today: range.today,
+    currency: currencyCode,
+    locale,
+  });
 };
 
-export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
-  const color = ["Red", "Orange", "Yellow", "Green"][
-    Math.floor(Math.random() * 4)
-  ];
-  const response = await admin.graphql(
-    `#graphql
-      mutation populateProduct($product: ProductCreateInput!) {
-        productCreate(product: $product) {
-          product {
-            id
-            title
-            handle
-            status
-            variants(first: 10) {
-              edges {
-                node {
-                  id
-                  price
-                  barcode
-                  createdAt
-                }
-              }
-            }
-          }
-        }
-      }`,
-    {
-      variables: {
-        product: {
-          title: `${color} Snowboard`,
-        },
-      },
-    },
-  );
-  const responseJson = await response.json();
-  const product = responseJson.data.productCreate.product;
-  const variantId = product.variants.edges[0].node.id;
-  const variantResponse = await admin.graphql(
-    `#graphql
-    mutation shopifyRemixTemplateUpdateVariant($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
-      productVariantsBulkUpdate(productId: $productId, variants: $variants) {
-        productVariants {
-          id
-          price
-          barcode
-          createdAt
-        }
-      }
-    }`,
-    {
-      variables: {
-        productId: product.id,
-        variants: [{ id: variantId, price: "100.00" }],
-      },
-    },
-  );
-  const variantResponseJson = await variantResponse.json();
+function daysBefore(date, days) {
+  const start = new Date(date);
+  start.setUTCDate(start.getUTCDate() - (days - 1));
+  return start.toISOString().slice(0, 10);
+}
 
-  return {
-    product: responseJson.data.productCreate.product,
-    variant: variantResponseJson.data.productVariantsBulkUpdate.productVariants,
-  };
-};
+function MetricCard({ title, value, detail }) {
+  return (
+    <Card>
+      <BlockStack gap="200">
+        <Text as="h3" variant="headingSm" tone="subdued">{title}</Text>
+        <Text as="p" variant="headingLg">{value}</Text>
+        {detail && <Text as="p" variant="bodySm" tone="subdued">{detail}</Text>}
+      </BlockStack>
+    </Card>
+  );
+}
 
 export default function Index() {
-  const fetcher = useFetcher();
+  const analytics = useLoaderData();
+  const { from, to, today, currency, locale } = analytics;
+  const [, setSearchParams] = useSearchParams();
   const shopify = useAppBridge();
-  const isLoading =
-    ["loading", "submitting"].includes(fetcher.state) &&
-    fetcher.formMethod === "POST";
-  const productId = fetcher.data?.product?.id.replace(
-    "gid://shopify/Product/",
-    "",
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  const preset =
+    to === today
+      ? RANGE_PRESETS.find(({ value }) => value !== "custom" && daysBefore(today, Number(value)) === from)
+          ?.value ?? "custom"
+      : "custom";
+
+  const formatAmount = useCallback(
+    (amount) => formatMoney(amount, currency, locale),
+    [currency, locale]
   );
 
-  useEffect(() => {
-    if (productId) {
-      shopify.toast.show("Product created");
+  const updateRange = useCallback((changes) => {
+    setSearchParams((params) => {
+      for (const [key, value] of Object.entries(changes)) {
+        params.set(key, value);
+      }
+      return params;
+    }, { replace: true });
+  }, [setSearchParams]);
+
+  const downloadCsv = useCallback(async () => {
+    setIsDownloading(true);
+    try {
+      await downloadFile(
+        `/app/analytics.csv?${new URLSearchParams({ from, to })}`,
+        `bundle-sales-${from}-to-${to}.csv`
+      );
+    } catch (error) {
+      shopify.toast.show("Couldn't download the CSV", { isError: true });
+    } finally {
+      setIsDownloading(false);
     }
-  }, [productId, shopify]);
-  const generateProduct = () => fetcher.submit({}, { method: "POST" });
+  }, [from, to, shopify]);
+
+  const topBundleRows = analytics.topBundles.map((bundle) => [
+    bundle.title,
+    bundle.unitsSold,
+    formatAmount(bundle.revenue),
+    formatAmount(bundle.discountGiven),
+  ]);
 
   return (
-    <Page>
-      <TitleBar title="Remix app template">
-        <button variant="primary" onClick={generateProduct}>
-          Generate a product
-        </button>
-      </TitleBar>
-      <BlockStack gap="500">
-        <Layout>
+    <Page
+      title="Bundle analytics"
+      primaryAction={{
+        content: "Download CSV",
+        onAction: downloadCsv,
+        loading: isDownloading,
+      }}
+      secondaryActions={[
+        {
+          content: "Create bundle",
+          url: "/app/bundles",
+        },
+      ]}
+    >
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <InlineStack gap="300" blockAlign="end">
+              <Select
+                label="Date range"
+                options={RANGE_PRESETS}
+                value={preset}
+                onChange={(value) => {
+                  if (value !== "custom") {
+                    updateRange({ from: daysBefore(today, Number(value)), to: today });
+                  }
+                }}
+              />
+              <TextField
+                label="From"
+                type="date"
+                value={from}
+                max={to}
+                onChange={(value) => value && updateRange({ from: value })}
+                autoComplete="off"
+              />
+              <TextField
+                label="To"
+                type="date"
+                value={to}
+                min={from}
+                onChange={(value) => value && updateRange({ to: value })}
+                autoComplete="off"
+              />
+            </InlineStack>
+          </Card>
+        </Layout.Section>
+
+        {analytics.orderCount === 0 && (
           <Layout.Section>
-            <Card>
-              <BlockStack gap="500">
-                <BlockStack gap="200">
-                  <Text as="h2" variant="headingMd">
-                    Congrats on creating a new Shopify app 🎉
-                  </Text>
-                  <Text variant="bodyMd" as="p">
-                    This embedded app template uses{" "}
-                    <Link
-                      url="https://shopify.dev/docs/apps/tools/app-bridge"
-                      target="_blank"
-                      removeUnderline
-                    >
-                      App Bridge
-                    </Link>{" "}
-                    interface examples like an{" "}
-                    <Link url="/app/additional" removeUnderline>
-                      additional page in the app nav
-                    </Link>
-                    , as well as an{" "}
-                    <Link
-                      url="https://shopify.dev/docs/api/admin-graphql"
-                      target="_blank"
-                      removeUnderline
-                    >
-                      Admin GraphQL
-                    </Link>{" "}
-                    mutation demo, to provide a starting point for app
-                    development.
-                  </Text>
-                </BlockStack>
-                <BlockStack gap="200">
-                  <Text as="h3" variant="headingMd">
-                    Get started with products
-                  </Text>
-                  <Text as="p" variant="bodyMd">
-                    Generate a product with GraphQL and get the JSON output for
-                    that product. Learn more about the{" "}
-                    <Link
-                      url="https://shopify.dev/docs/api/admin-graphql/latest/mutations/productCreate"
-                      target="_blank"
-                      removeUnderline
-                    >
-                      productCreate
-                    </Link>{" "}
-                    mutation in our API references.
-                  </Text>
-                </BlockStack>
-                <InlineStack gap="300">
-                  <Button loading={isLoading} onClick={generateProduct}>
-                    Generate a product
-                  </Button>
-                  {fetcher.data?.product && (
-                    <Button
-                      url={`shopify:admin/products/${productId}`}
-                      target="_blank"
-                      variant="plain"
-                    >
-                      View product
-                    </Button>
-                  )}
-                </InlineStack>
-                {fetcher.data?.product && (
-                  <>
-                    <Text as="h3" variant="headingMd">
-                      {" "}
-                      productCreate mutation
-                    </Text>
-                    <Box
-                      padding="400"
-                      background="bg-surface-active"
-                      borderWidth="025"
-                      borderRadius="200"
-                      borderColor="border"
-                      overflowX="scroll"
-                    >
-                      <pre style={{ margin: 0 }}>
-                        <code>
-                          {JSON.stringify(fetcher.data.product, null, 2)}
-                        </code>
-                      </pre>
-                    </Box>
-                    <Text as="h3" variant="headingMd">
-                      {" "}
-                      productVariantsBulkUpdate mutation
-                    </Text>
-                    <Box
-                      padding="400"
-                      background="bg-surface-active"
-                      borderWidth="025"
-                      borderRadius="200"
-                      borderColor="border"
-                      overflowX="scroll"
-                    >
-                      <pre style={{ margin: 0 }}>
-                        <code>
-                          {JSON.stringify(fetcher.data.variant, null, 2)}
-                        </code>
-                      </pre>
-                    </Box>
-                  </>
-                )}
-              </BlockStack>
-            </Card>
+            <Banner tone="info" title="No orders in this date range">
+              <p>
+                Sales are recorded from orders placed after the app was installed, as Shopify
+                reports them.
+              </p>
+            </Banner>
           </Layout.Section>
-          <Layout.Section variant="oneThird">
-            <BlockStack gap="500">
-              <Card>
-                <BlockStack gap="200">
-                  <Text as="h2" variant="headingMd">
-                    App template specs
-                  </Text>
-                  <BlockStack gap="200">
-                    <InlineStack align="space-between">
-                      <Text as="span" variant="bodyMd">
-                        Framework
-                      </Text>
-                      <Link
-                        url="https://remix.run"
-                        target="_blank"
-                        removeUnderline
-                      >
-                        Remix
-                      </Link>
-                    </InlineStack>
-                    <InlineStack align="space-between">
-                      <Text as="span" variant="bodyMd">
-                        Database
-                      </Text>
-                      <Link
-                        url="https://www.prisma.io/"
-                        target="_blank"
-                        removeUnderline
-                      >
-                        Prisma
-                      </Link>
-                    </InlineStack>
-                    <InlineStack align="space-between">
-                      <Text as="span" variant="bodyMd">
-                        Interface
-                      </Text>
-                      <span>
-                        <Link
-                          url="https://polaris.shopify.com"
-                          target="_blank"
-                          removeUnderline
-                        >
-                          Polaris
-                        </Link>
-                        {", "}
-                        <Link
-                          url="https://shopify.dev/docs/apps/tools/app-bridge"
-                          target="_blank"
-                          removeUnderline
-                        >
-                          App Bridge
-                        </Link>
-                      </span>
-                    </InlineStack>
-                    <InlineStack align="space-between">
-                      <Text as="span" variant="bodyMd">
-                        API
-                      </Text>
-                      <Link
-                        url="https://shopify.dev/docs/api/admin-graphql"
-                        target="_blank"
-                        removeUnderline
-                      >
-                        GraphQL API
-                      </Link>
-                    </InlineStack>
-                  </BlockStack>
-                </BlockStack>
-              </Card>
-              <Card>
-                <BlockStack gap="200">
-                  <Text as="h2" variant="headingMd">
-                    Next steps
-                  </Text>
-                  <List>
-                    <List.Item>
-                      Build an{" "}
-                      <Link
-                        url="https://shopify.dev/docs/apps/getting-started/build-app-example"
-                        target="_blank"
-                        removeUnderline
-                      >
-                        {" "}
-                        example app
-                      </Link>{" "}
-                      to get started
-                    </List.Item>
-                    <List.Item>
-                      Explore Shopify’s API with{" "}
-                      <Link
-                        url="https://shopify.dev/docs/apps/tools/graphiql-admin-api"
-                        target="_blank"
-                        removeUnderline
-                      >
-                        GraphiQL
-                      </Link>
-                    </List.Item>
-                  </List>
-                </BlockStack>
-              </Card>
+        )}
+
+        <Layout.Section>
+          <InlineGrid columns={{ xs: 1, sm: 2, md: 3 }} gap="400">
+            <MetricCard title="Bundles created" value={analytics.bundlesCreated} />
+            <MetricCard
+              title="Bundles sold"
+              value={analytics.unitsSold}
+              detail={`In ${analytics.bundleOrderCount} orders`}
+            />
+            <MetricCard title="Bundle revenue" value={formatAmount(analytics.revenue)} />
+            <MetricCard
+              title="Average discount"
+              value={formatAmount(analytics.averageDiscount)}
+              detail={`${analytics.averageDiscountPercentage.toFixed(1)}% off per bundle`}
+            />
+            <MetricCard
+              title="Attach rate"
+              value={`${(analytics.attachRate * 100).toFixed(1)}%`}
+              detail={`Of ${analytics.orderCount} orders`}
+            />
+            <MetricCard title="Discount given" value={formatAmount(analytics.discountGiven)} />
+          </InlineGrid>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <Text as="h2" variant="headingMd">
+                Revenue per {analytics.periodDays === 1 ? "day" : "week"}
+              </Text>
+              <SalesChart
+                series={analytics.series}
+                periodDays={analytics.periodDays}
+                formatMoney={formatAmount}
+              />
             </BlockStack>
-          </Layout.Section>
-        </Layout>
-      </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <Text as="h2" variant="headingMd">Top bundles</Text>
+              {topBundleRows.length > 0 ? (
+                <DataTable
+                  columnContentTypes={["text", "numeric", "numeric", "numeric"]}
+                  headings={["Bundle", "Units sold", "Revenue", "Discount given"]}
+                  rows={topBundleRows}
+                />
+              ) : (
+                <Text as="p" tone="subdued">No bundles were sold in this date range.</Text>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
     </Page>
   );
 }
@@ -0,0 +1,44 @@
+import { authenticateAdmin } from "../shopify.server";
+import { getBundleSales, getDateRange } from "../models/BundleAnalytics.server";
+import { getShopFormat } from "../models/BundleMarkets.server";
+import { toCsv } from "../utils/csv";
+
+// The sales behind the dashboard numbers, one row per bundle per order.
+export const loader = async ({ request }) => {
+  const { client, session } = await authenticateAdmin(request);
+  const { timeZone } = await getShopFormat(client);
+  const range = getDateRange(new URL(request.url).searchParams, timeZone);
+  const sales = await getBundleSales(session.shop, range);
+
+  const csv = toCsv([
+    [
+      "Ordered at",
+      "Order",
+      "Bundle",
+      "Bundle product ID",
+      "Units",
+      "Revenue",
+      "Discount given",
+      "Currency",
+      "Paid at",
+    ],
+    ...sales.map((sale) => [
+      sale.orderedAt.toISOString(),
+      sale.orderName,
+      sale.bundle?.title ?? "Deleted bundle",
+      sale.productId,
+      sale.quantity,
+      sale.revenue.toFixed(2),
+      sale.discount.toFixed(2),
+      sale.currency,
+      sale.paidAt?.toISOString() ?? "",
+    ]),
+  ]);
+
+  return new Response(csv, {
+    headers: {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="bundle-sales-${range.from}-to-${range.to}.csv"`,
+    },
+  });
+};
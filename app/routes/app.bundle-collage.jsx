@@ -0,0 +1,32 @@
+import { authenticateAdmin } from "../shopify.server";
+import {
+  BundleMediaError,
+  COLLAGE_MAX_IMAGES,
+  createCollage,
+  getComponentImages,
+} from "../models/BundleMedia.server";
+
+// The collage the bundle creator previews before saving, drawn from the
+// featured images of the `productId` products. Only as many products as the
+// collage can show are looked up.
+export const loader = async ({ request }) => {
+  const { client } = await authenticateAdmin(request);
+  const productIds = [
+    ...new Set(new URL(request.url).searchParams.getAll("productId")),
+  ].slice(0, COLLAGE_MAX_IMAGES);
+
+  const images = await getComponentImages(client, productIds);
+  if (images.length === 0) {
+    return new Response("None of the products have an image", { status: 404 });
+  }
+
+  try {
+    const collage = await createCollage(images);
+    return new Response(collage, {
+      headers: { "Content-Type": "image/jpeg", "Cache-Control": "private, max-age=300" },
+    });
+  } catch (error) {
+    if (!(error instanceof BundleMediaError)) throw error;
+    return new Response(error.message, { status: 502 });
+  }
+};
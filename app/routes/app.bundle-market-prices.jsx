@@ -0,0 +1,25 @@
+import { json } from "@remix-run/node";
+import { authenticateAdmin } from "../shopify.server";
+import { getBundle } from "../models/Bundle.server";
+import { getBundleMarketPrices } from "../models/BundleMarkets.server";
+import { GraphQLRequestError } from "../utils/graphql.server";
+
+// Loaded by the bundle details modal, as pricing every market takes a query
+// per market.
+export const loader = async ({ request }) => {
+  const { client, session } = await authenticateAdmin(request);
+  const bundleId = new URL(request.url).searchParams.get("bundleId");
+
+  const bundle = await getBundle(bundleId, session.shop);
+  if (!bundle) {
+    return json({ bundleId, error: "Bundle not found" }, { status: 404 });
+  }
+
+  try {
+    const marketPrices = await getBundleMarketPrices(client, bundle);
+    return json({ bundleId, marketPrices });
+  } catch (error) {
+    if (!(error instanceof GraphQLRequestError)) throw error;
+    return json({ bundleId, error: error.message }, { status: 502 });
+  }
+};
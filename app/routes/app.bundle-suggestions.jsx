@@ -0,0 +1,40 @@
+import { json } from "@remix-run/node";
+import { authenticateAdmin } from "../shopify.server";
+import { getBundleSuggestions } from "../models/BundleRecommendations.server";
+import { getOrderImportStatus, startOrderImport } from "../models/OrderHistory.server";
+import { GraphQLRequestError, UserErrorsError } from "../utils/graphql.server";
+
+// Loaded by the bundle creator's suggestions, so reading the shop's orders
+// doesn't hold up the product list.
+export const loader = async ({ request }) => {
+  const { client, session } = await authenticateAdmin(request);
+
+  try {
+    const [{ orderCount, suggestions }, orderImport] = await Promise.all([
+      getBundleSuggestions(session.shop, client),
+      getOrderImportStatus(client),
+    ]);
+    return json({ orderCount, suggestions, orderImport });
+  } catch (error) {
+    if (!(error instanceof GraphQLRequestError)) throw error;
+    return json({ error: error.message }, { status: 502 });
+  }
+};
+
+// Starts importing the shop's order history.
+export const action = async ({ request }) => {
+  const { client } = await authenticateAdmin(request);
+
+  try {
+    const orderImport = await startOrderImport(client);
+    return json({ orderImport });
+  } catch (error) {
+    if (error instanceof UserErrorsError) {
+      return json({ error: error.message }, { status: 422 });
+    }
+    if (error instanceof GraphQLRequestError) {
+      return json({ error: error.message }, { status: 502 });
+    }
+    throw error;
+  }
+};
@@ -9,172 +9,465 @@ import {
   TextField,
   Select,
   BlockStack,
+  InlineStack,
+  Box,
   Text,
+  Pagination,
+  Banner,
+  InlineError,
 } from "@shopify/polaris";
-import { useState, useCallback } from "react";
-import { authenticate } from "../shopify.server";
-import { useSubmit, useLoaderData } from "@remix-run/react";
+import { useState, useCallback, useEffect } from "react";
+import { authenticateAdmin } from "../shopify.server";
+import {
+  useSubmit,
+  useLoaderData,
+  useActionData,
+  useNavigation,
+  useSearchParams,
+} from "@remix-run/react";
+import {
+  createBundle,
+  validateBundle,
+  verifyBundleComponents,
+  withAllVariants,
+} from "../models/Bundle.server";
+import { trySyncBundleInventory } from "../models/BundleInventory.server";
+import { tryAttachBundleMedia } from "../models/BundleMedia.server";
+import { getShopFormat } from "../models/BundleMarkets.server";
+import { UserErrorsError } from "../utils/graphql.server";
+import { DiscountFields, DEFAULT_DISCOUNT } from "../components/DiscountFields";
+import { ScheduleFields, EMPTY_SCHEDULE } from "../components/ScheduleFields";
+import { BundleMediaFields, DEFAULT_MEDIA } from "../components/BundleMediaFields";
+import { SuggestedBundles } from "../components/SuggestedBundles";
+import {
+  DISCOUNT_TYPES,
+  calculateBundlePrice,
+  formatDiscount,
+  formatMoney,
+  normalizeDiscount,
+} from "../utils/pricing";
+import {
+  BUNDLE_TYPES,
+  BUNDLE_TYPE_OPTIONS,
+  MIX_AND_MATCH_DISCOUNT_TYPES,
+  MIX_AND_MATCH_DISCOUNT_TYPE_OPTIONS,
+} from "../utils/bundleTypes";
+import { fromDateTimeInputValue } from "../utils/bundleSchedule";
+
+const PAGE_SIZE = 20;
+
+// Builds the Admin API search query for the product table. Bundles are never
+// offered as components.
+function buildProductQuery(search, collectionId) {
+  const terms = ["NOT tag:bundle"];
+
+  if (search) {
+    const escaped = search.replace(/["\\]/g, "\\$&");
+    terms.push(
+      `(title:"${escaped}" OR sku:"${escaped}" OR vendor:"${escaped}" OR tag:"${escaped}")`
+    );
+  }
+  if (collectionId) {
+    terms.push(`collection_id:${collectionId.split("/").pop()}`);
+  }
+
+  return terms.join(" AND ");
+}
 
 export const loader = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { client } = await authenticateAdmin(request);
+  const url = new URL(request.url);
+  const search = url.searchParams.get("q") ?? "";
+  const collectionId = url.searchParams.get("collection") ?? "";
+  const after = url.searchParams.get("after");
+  const before = url.searchParams.get("before");
 
   // Fetch regular products for bundle creation
-  const productsResponse = await admin.graphql(
-    `query getProducts {
-      products(first: 20, query: "NOT tag:bundle") {
+  const productsQuery = client.query(
+    `#graphql
+    query getProducts($first: Int, $last: Int, $after: String, $before: String, $query: String) {
+      products(first: $first, last: $last, after: $after, before: $before, query: $query) {
         edges {
           node {
             id
             title
+            featuredMedia {
+              preview {
+                image {
+                  url
+                  altText
+                }
+              }
+            }
             priceRangeV2 {
               minVariantPrice {
                 amount
                 currencyCode
               }
             }
+            variants(first: 20) {
+              nodes {
+                id
+                title
+                price
+              }
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+            }
           }
         }
+        pageInfo {
+          hasNextPage
+          hasPreviousPage
+          startCursor
+          endCursor
+        }
       }
-    }`
+      collections(first: 100, sortKey: TITLE) {
+        nodes {
+          id
+          title
+        }
+      }
+    }`,
+    {
+      variables: {
+        ...(before ? { last: PAGE_SIZE, before } : { first: PAGE_SIZE, after }),
+        query: buildProductQuery(search, collectionId),
+      },
+    }
   );
-
-  const productsJson = await productsResponse.json();
+  const [data, shopFormat] = await Promise.all([productsQuery, getShopFormat(client)]);
 
   return json({
-    products: productsJson.data.products.edges
+    products: await withAllVariants(client, data.products.edges.map(({ node }) => node)),
+    pageInfo: data.products.pageInfo,
+    collections: data.collections.nodes,
+    ...shopFormat,
+    search,
+    collectionId,
   });
 };
 
 export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { client, session } = await authenticateAdmin(request);
   const formData = await request.formData();
-  const bundleData = JSON.parse(formData.get("bundleData"));
 
-  console.log('Creating bundle with data:', bundleData);
+  let bundleData;
+  try {
+    bundleData = JSON.parse(formData.get("bundleData"));
+  } catch {
+    bundleData = null;
+  }
 
-  // Create bundle product
-  const createProductResponse = await admin.graphql(
-    `mutation createProduct($input: ProductInput!) {
-      productCreate(input: $input) {
-        product {
-          id
-          title
-          metafield(namespace: "custom", key: "bundle_products") {
-            value
-          }
-        }
-        userErrors {
-          field
-          message
-        }
-      }
-    }`,
-    {
-      variables: {
-        input: {
-          title: bundleData.name,
-          descriptionHtml: bundleData.description,
-          tags: ["bundle"],
-          status: "ACTIVE",
-          metafields: [
-            {
-              namespace: "custom",
-              key: "bundle_products",
-              type: "json",
-              value: JSON.stringify({
-                products: bundleData.products,
-                discount: parseInt(bundleData.discount)
-              })
-            }
-          ]
-        }
-      }
-    }
-  );
+  const errors =
+    validateBundle(bundleData) ?? (await verifyBundleComponents(client, bundleData));
+  if (errors) {
+    return json({ errors }, { status: 422 });
+  }
 
-  const response = await createProductResponse.json();
-  console.log('Bundle creation response:', response);
+  let bundle, product;
+  try {
+    ({ bundle, product } = await createBundle(session.shop, client, bundleData));
+  } catch (error) {
+    if (error instanceof UserErrorsError) {
+      return json({ errors: { form: error.message } }, { status: 400 });
+    }
+    throw error;
+  }
 
-  if (response.data?.productCreate?.userErrors?.length > 0) {
-    return json({ error: response.data.productCreate.userErrors[0].message }, { status: 400 });
+  await trySyncBundleInventory(client, bundle);
+  if (bundleData.media) {
+    await tryAttachBundleMedia(client, bundle, bundleData.media);
   }
 
-  // Return a redirect to force a page reload
-  return json({ success: true, product: response.data.productCreate.product });
+  return json({ success: true, product });
 };
 
 export default function BundleCreator() {
-  const { products } = useLoaderData();
+  const {
+    products,
+    pageInfo,
+    collections,
+    currencyCode,
+    locale,
+    timeZone,
+    search,
+    collectionId
+  } = useLoaderData();
   const submit = useSubmit();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [searchValue, setSearchValue] = useState(search);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [bundleName, setBundleName] = useState("");
   const [bundleDescription, setBundleDescription] = useState("");
-  const [selectedProducts, setSelectedProducts] = useState([]);
-  const [discountPercentage, setDiscountPercentage] = useState("10");
+  const [selectedComponents, setSelectedComponents] = useState([]);
+  const [discount, setDiscount] = useState(DEFAULT_DISCOUNT);
+  const [bundleType, setBundleType] = useState(BUNDLE_TYPES.FIXED);
+  const [pickCount, setPickCount] = useState("3");
+  const [poolCollectionId, setPoolCollectionId] = useState("");
+  const [schedule, setSchedule] = useState(EMPTY_SCHEDULE);
+  const [media, setMedia] = useState(DEFAULT_MEDIA);
+  const isMixAndMatch = bundleType === BUNDLE_TYPES.MIX_AND_MATCH;
+  const errors = actionData?.errors ?? {};
+  const isCreating = navigation.state === "submitting" && navigation.formMethod === "POST";
+
+  const resetForm = useCallback(() => {
+    setBundleName("");
+    setBundleDescription("");
+    setSelectedComponents([]);
+    setDiscount(DEFAULT_DISCOUNT);
+    setBundleType(BUNDLE_TYPES.FIXED);
+    setPickCount("3");
+    setPoolCollectionId("");
+    setSchedule(EMPTY_SCHEDULE);
+    setMedia(DEFAULT_MEDIA);
+    setIsModalOpen(false);
+  }, []);
+
+  const changeBundleType = useCallback((type) => {
+    setBundleType(type);
+    // Fixed discounts need prices known in advance, which mix-and-match picks
+    // don't have.
+    if (type === BUNDLE_TYPES.MIX_AND_MATCH && !MIX_AND_MATCH_DISCOUNT_TYPES.includes(discount.type)) {
+      setDiscount(DEFAULT_DISCOUNT);
+    }
+  }, [discount]);
+
+  // Starts a fixed bundle of a suggestion's products, one of each in their
+  // first variant.
+  const startFromSuggestion = useCallback(({ products: suggestedProducts }) => {
+    changeBundleType(BUNDLE_TYPES.FIXED);
+    setBundleName(suggestedProducts.map(({ title }) => title).join(" + "));
+    setSelectedComponents(
+      suggestedProducts.map((product) => ({
+        productId: product.id,
+        variantId: product.variants.nodes[0]?.id,
+        quantity: 1,
+        product,
+      }))
+    );
+    setPoolCollectionId("");
+    setIsModalOpen(true);
+  }, [changeBundleType]);
+
+  // Keep the modal open until the bundle is created, so the merchant can fix
+  // whatever the server rejected.
+  useEffect(() => {
+    if (actionData?.success) resetForm();
+  }, [actionData, resetForm]);
 
   const handleCreateBundle = useCallback(() => {
-    const bundleData = {
-      name: bundleName,
-      description: bundleDescription,
-      products: selectedProducts,
-      discount: parseInt(discountPercentage)
+    const scheduleData = {
+      startsAt: fromDateTimeInputValue(schedule.startsAt, timeZone),
+      endsAt: fromDateTimeInputValue(schedule.endsAt, timeZone),
     };
+    const bundleData = isMixAndMatch
+      ? {
+          type: BUNDLE_TYPES.MIX_AND_MATCH,
+          name: bundleName,
+          description: bundleDescription,
+          pickCount: parseInt(pickCount) || 0,
+          collectionId: poolCollectionId || null,
+          productIds: poolCollectionId ? [] : selectedComponents.map(({ productId }) => productId),
+          // Price rules left over from a fixed bundle don't apply to picks.
+          discount: normalizeDiscount({
+            type: discount.type,
+            value: discount.value,
+            tiers: discount.tiers,
+          }),
+          media,
+          ...scheduleData
+        }
+      : {
+          type: BUNDLE_TYPES.FIXED,
+          name: bundleName,
+          description: bundleDescription,
+          components: selectedComponents.map(({ productId, variantId, quantity }) => ({
+            productId,
+            variantId,
+            quantity,
+          })),
+          discount: normalizeDiscount(discount),
+          media,
+          ...scheduleData
+        };
 
     submit(
       { bundleData: JSON.stringify(bundleData) },
       { method: "post", replace: true }
     );
+  }, [
+    isMixAndMatch,
+    bundleName,
+    bundleDescription,
+    pickCount,
+    poolCollectionId,
+    selectedComponents,
+    discount,
+    schedule,
+    media,
+    timeZone,
+    submit,
+  ]);
 
-    setBundleName("");
-    setBundleDescription("");
-    setSelectedProducts([]);
-    setDiscountPercentage("10");
-    setIsModalOpen(false);
-  }, [bundleName, bundleDescription, selectedProducts, discountPercentage, submit]);
+  // Changing the search or collection starts over from the first page.
+  const updateFilters = useCallback((changes) => {
+    setSearchParams((params) => {
+      params.delete("after");
+      params.delete("before");
+      for (const [key, value] of Object.entries(changes)) {
+        if (value) {
+          params.set(key, value);
+        } else {
+          params.delete(key);
+        }
+      }
+      return params;
+    }, { replace: true });
+  }, [setSearchParams]);
+
+  useEffect(() => {
+    if (searchValue === (searchParams.get("q") ?? "")) return;
+
+    const timeout = setTimeout(() => updateFilters({ q: searchValue.trim() }), 300);
+    return () => clearTimeout(timeout);
+  }, [searchValue, searchParams, updateFilters]);
+
+  const goToPage = useCallback((cursorParam, cursor) => {
+    setSearchParams((params) => {
+      params.delete("after");
+      params.delete("before");
+      params.set(cursorParam, cursor);
+      return params;
+    });
+  }, [setSearchParams]);
+
+  const updateComponent = useCallback((index, changes) => {
+    setSelectedComponents((components) =>
+      components.map((component, i) => (i === index ? { ...component, ...changes } : component))
+    );
+  }, []);
+
+  // Variants already in the bundle, each of which it can list only once.
+  const selectedVariantIds = new Set(selectedComponents.map(({ variantId }) => variantId));
 
-  const rows = products.map(({ node }) => {
-    const price = parseFloat(node.priceRangeV2.minVariantPrice.amount).toFixed(2);
+  const rows = products.map((product) => {
+    const { amount, currencyCode: priceCurrencyCode } = product.priceRangeV2.minVariantPrice;
+    const nextVariant = product.variants.nodes.find(({ id }) => !selectedVariantIds.has(id));
     return [
-      node.title,
-      `$${price}`,
+      product.title,
+      formatMoney(parseFloat(amount), priceCurrencyCode, locale),
       <Button
-        key={node.id}
+        key={product.id}
+        // A mix-and-match pool lists each product once; shoppers choose the
+        // variant. A fixed bundle can take each variant once, so adding a
+        // product again adds its next variant.
+        disabled={
+          isMixAndMatch
+            ? selectedComponents.some(({ productId }) => productId === product.id)
+            : !nextVariant
+        }
         onClick={() => {
-          if (!selectedProducts.includes(node.id)) {
-            setSelectedProducts([...selectedProducts, node.id]);
-          }
+          setSelectedComponents([
+            ...selectedComponents,
+            {
+              productId: product.id,
+              variantId: nextVariant?.id ?? product.variants.nodes[0]?.id,
+              quantity: 1,
+              // Kept so the product stays listed after paging away from it.
+              product,
+            }
+          ]);
         }}
-        disabled={selectedProducts.includes(node.id)}
       >
         Add to Bundle
       </Button>
     ];
   });
 
-  const selectedProductRows = selectedProducts.map(productId => {
-    const product = products.find(({ node }) => node.id === productId)?.node;
-    if (!product) return null;
+  const selectedComponentRows = selectedComponents.map((component, index) => {
+    const { product } = component;
+    const variant = product.variants.nodes.find(({ id }) => id === component.variantId);
+    const price = parseFloat(variant?.price ?? 0);
+    const lineTotal = price * component.quantity;
 
-    const price = parseFloat(product.priceRangeV2.minVariantPrice.amount).toFixed(2);
-    return [
-      product.title,
-      `$${price}`,
-      <Button
-        key={product.id}
-        destructive
-        onClick={() => setSelectedProducts(selectedProducts.filter(id => id !== productId))}
-      >
-        Remove
-      </Button>
-    ];
-  }).filter(Boolean);
+    return {
+      price,
+      quantity: component.quantity,
+      cells: [
+        product.title,
+        product.variants.nodes.length > 1 ? (
+          <Select
+            key={`${index}-variant`}
+            label="Variant"
+            labelHidden
+            options={product.variants.nodes.map(({ id, title }) => ({
+              label: title,
+              value: id,
+              // Another row already has this variant.
+              disabled: id !== component.variantId && selectedVariantIds.has(id),
+            }))}
+            value={component.variantId}
+            onChange={(variantId) => updateComponent(index, { variantId })}
+          />
+        ) : (
+          variant?.title
+        ),
+        <TextField
+          key={`${index}-quantity`}
+          label="Quantity"
+          labelHidden
+          type="number"
+          min={1}
+          value={String(component.quantity)}
+          onChange={(value) => updateComponent(index, { quantity: Math.max(parseInt(value) || 1, 1) })}
+          autoComplete="off"
+        />,
+        formatMoney(lineTotal, currencyCode, locale),
+        <Button
+          key={`${index}-remove`}
+          destructive
+          onClick={() => setSelectedComponents(selectedComponents.filter((_, i) => i !== index))}
+        >
+          Remove
+        </Button>
+      ]
+    };
+  });
+
+  const poolRows = selectedComponents.map(({ product }, index) => [
+    product.title,
+    `from ${formatMoney(
+      parseFloat(product.priceRangeV2.minVariantPrice.amount),
+      product.priceRangeV2.minVariantPrice.currencyCode,
+      locale
+    )}`,
+    <Button
+      key={`${index}-remove`}
+      destructive
+      onClick={() => setSelectedComponents(selectedComponents.filter((_, i) => i !== index))}
+    >
+      Remove
+    </Button>
+  ]);
 
-  const totalBundlePrice = selectedProductRows.reduce((sum, row) => {
-    const price = parseFloat(row[1].replace('$', ''));
-    return sum + price;
-  }, 0);
+  // Each selected product once, in the order the bundle lists them.
+  const mediaProducts = [
+    ...new Map(
+      selectedComponents.map(({ product }) => [
+        product.id,
+        { id: product.id, title: product.title, image: product.featuredMedia?.preview?.image },
+      ])
+    ).values(),
+  ];
 
-  const discountedBundlePrice = totalBundlePrice * (1 - parseInt(discountPercentage) / 100);
+  const normalizedDiscount = normalizeDiscount(discount);
+  const bundlePrice = calculateBundlePrice(selectedComponentRows, normalizedDiscount);
 
   return (
     <Page
@@ -191,15 +484,66 @@ export default function BundleCreator() {
       ]}
     >
       <Layout>
+        {actionData?.success && (
+          <Layout.Section>
+            <Banner
+              tone="success"
+              title={`${actionData.product.title} was saved as a draft`}
+              action={{ content: "Preview and publish", url: "/app/created-bundles" }}
+            >
+              <p>Shoppers can't buy it until you publish it to your sales channels.</p>
+            </Banner>
+          </Layout.Section>
+        )}
+        <Layout.Section>
+          <SuggestedBundles onUse={startFromSuggestion} locale={locale} timeZone={timeZone} />
+        </Layout.Section>
         <Layout.Section>
           <Card>
             <BlockStack gap="400">
               <Text variant="headingMd" as="h2">Available Products</Text>
+              <InlineStack gap="300" wrap={false}>
+                <Box width="100%">
+                  <TextField
+                    label="Search products"
+                    labelHidden
+                    placeholder="Search by title, SKU, vendor or tag"
+                    value={searchValue}
+                    onChange={setSearchValue}
+                    clearButton
+                    onClearButtonClick={() => setSearchValue("")}
+                    autoComplete="off"
+                  />
+                </Box>
+                <Select
+                  label="Collection"
+                  labelInline
+                  options={[
+                    { label: "All", value: "" },
+                    ...collections.map(({ id, title }) => ({ label: title, value: id })),
+                  ]}
+                  value={collectionId}
+                  onChange={(collection) => updateFilters({ collection })}
+                />
+              </InlineStack>
               <DataTable
                 columnContentTypes={["text", "numeric", "text"]}
                 headings={["Product", "Price", "Action"]}
                 rows={rows}
               />
+              {rows.length === 0 && (
+                <Text as="p" tone="subdued" alignment="center">
+                  No products match your search.
+                </Text>
+              )}
+              <InlineStack align="center">
+                <Pagination
+                  hasPrevious={pageInfo.hasPreviousPage}
+                  onPrevious={() => goToPage("before", pageInfo.startCursor)}
+                  hasNext={pageInfo.hasNextPage}
+                  onNext={() => goToPage("after", pageInfo.endCursor)}
+                />
+              </InlineStack>
             </BlockStack>
           </Card>
         </Layout.Section>
@@ -207,66 +551,141 @@ export default function BundleCreator() {
         {/* Create Bundle Modal */}
         <Modal
           open={isModalOpen}
-          onClose={() => {
-            setIsModalOpen(false);
-            setSelectedProducts([]);
-            setBundleName("");
-            setBundleDescription("");
-            setDiscountPercentage("10");
-          }}
+          onClose={resetForm}
           title="Create New Bundle"
           primaryAction={{
-            content: "Create Bundle",
+            content: "Save as Draft",
             onAction: handleCreateBundle,
-            disabled: selectedProducts.length === 0 || !bundleName
+            loading: isCreating,
+            disabled:
+              !bundleName ||
+              (selectedComponents.length === 0 && !(isMixAndMatch && poolCollectionId))
           }}
           secondaryActions={[
             {
               content: "Cancel",
-              onAction: () => {
-                setIsModalOpen(false);
-                setSelectedProducts([]);
-                setBundleName("");
-                setBundleDescription("");
-                setDiscountPercentage("10");
-              },
+              onAction: resetForm,
             },
           ]}
         >
           <Modal.Section>
             <BlockStack gap="400">
+              {errors.form && (
+                <Banner tone="critical">
+                  <p>{errors.form}</p>
+                </Banner>
+              )}
               <TextField
                 label="Bundle Name"
                 value={bundleName}
                 onChange={setBundleName}
                 autoComplete="off"
+                error={errors.name}
                 required
               />
               <TextField
                 label="Description"
                 value={bundleDescription}
                 onChange={setBundleDescription}
+                error={errors.description}
                 multiline={4}
               />
               <Select
-                label="Discount Percentage"
-                options={["5", "10", "15", "20", "25"]}
-                value={discountPercentage}
-                onChange={setDiscountPercentage}
+                label="Bundle Type"
+                options={BUNDLE_TYPE_OPTIONS}
+                value={bundleType}
+                onChange={changeBundleType}
+                error={errors.type}
+              />
+              {isMixAndMatch && (
+                <InlineStack gap="300" wrap={false}>
+                  <TextField
+                    label="Items to pick"
+                    type="number"
+                    min={2}
+                    value={pickCount}
+                    onChange={setPickCount}
+                    error={errors.pickCount}
+                    helpText="How many items shoppers choose for the box"
+                    autoComplete="off"
+                  />
+                  <Select
+                    label="Eligible products"
+                    options={[
+                      { label: "Selected products", value: "" },
+                      ...collections.map(({ id, title }) => ({ label: `Collection: ${title}`, value: id })),
+                    ]}
+                    value={poolCollectionId}
+                    onChange={setPoolCollectionId}
+                  />
+                </InlineStack>
+              )}
+              <DiscountFields
+                discount={discount}
+                onChange={setDiscount}
+                error={errors.discount}
+                currencyCode={currencyCode}
+                locale={locale}
+                typeOptions={isMixAndMatch ? MIX_AND_MATCH_DISCOUNT_TYPE_OPTIONS : undefined}
+                showPriceRules={!isMixAndMatch}
+              />
+              <ScheduleFields schedule={schedule} onChange={setSchedule} errors={errors} />
+              <BundleMediaFields
+                media={media}
+                onChange={setMedia}
+                products={isMixAndMatch && poolCollectionId ? [] : mediaProducts}
               />
+              {errors.media && <InlineError message={errors.media} fieldID="bundleMedia" />}
+              {errors.components && <InlineError message={errors.components} fieldID="bundleComponents" />}
 
-              {selectedProductRows.length > 0 && (
+              {isMixAndMatch && !poolCollectionId && poolRows.length > 0 && (
                 <Card>
                   <BlockStack gap="400">
-                    <Text variant="headingMd">Selected Products</Text>
+                    <Text variant="headingMd">Eligible Products</Text>
                     <DataTable
                       columnContentTypes={["text", "numeric", "text"]}
                       headings={["Product", "Price", "Action"]}
-                      rows={selectedProductRows}
+                      rows={poolRows}
+                    />
+                  </BlockStack>
+                </Card>
+              )}
+              {isMixAndMatch && (
+                <Text variant="bodyMd" as="p">
+                  Shoppers pick {parseInt(pickCount) || 0} items: {formatDiscount(normalizedDiscount, currencyCode, locale)}
+                </Text>
+              )}
+
+              {!isMixAndMatch && selectedComponentRows.length > 0 && (
+                <Card>
+                  <BlockStack gap="400">
+                    <Text variant="headingMd">Selected Products</Text>
+                    <DataTable
+                      columnContentTypes={["text", "text", "numeric", "numeric", "text"]}
+                      headings={["Product", "Variant", "Quantity", "Price", "Action"]}
+                      rows={selectedComponentRows.map(({ cells }) => cells)}
                     />
                     <BlockStack gap="200">
-                      <Text variant="bodySm">Total Price: ${totalBundlePrice.toFixed(2)}</Text>
-                      <Text variant="bodyMd">Discounted Price: ${discountedBundlePrice.toFixed(2)}</Text>
+                      <Text variant="bodySm">
+                        Total Price: {formatMoney(bundlePrice.subtotal, currencyCode, locale)}
+                      </Text>
+                      {normalizedDiscount.type === DISCOUNT_TYPES.TIERED ? (
+                        normalizedDiscount.tiers.map(({ minQuantity }) => (
+                          <Text key={minQuantity} variant="bodyMd">
+                            Buy {minQuantity}+:{" "}
+                            {formatMoney(
+                              calculateBundlePrice(selectedComponentRows, normalizedDiscount, minQuantity).total,
+                              currencyCode,
+                              locale
+                            )}{" "}
+                            each
+                          </Text>
+                        ))
+                      ) : (
+                        <Text variant="bodyMd">
+                          Discounted Price: {formatMoney(bundlePrice.total, currencyCode, locale)}
+                        </Text>
+                      )}
                     </BlockStack>
                   </BlockStack>
                 </Card>
@@ -0,0 +1,14 @@
+import { authenticateAdmin } from "../shopify.server";
+import { exportBundlesCsv } from "../models/BundleCsv.server";
+
+export const loader = async ({ request }) => {
+  const { client, session } = await authenticateAdmin(request);
+  const csv = await exportBundlesCsv(session.shop, client);
+
+  return new Response(csv, {
+    headers: {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": 'attachment; filename="bundles.csv"',
+    },
+  });
+};
@@ -9,115 +9,594 @@ import {
   BlockStack,
   Text,
   EmptyState,
+  TextField,
+  Banner,
+  InlineStack,
+  List,
+  Pagination,
+  Select,
+  Badge,
+  ChoiceList,
+  InlineError,
 } from "@shopify/polaris";
-import { useState } from "react";
-import { authenticate } from "../shopify.server";
-import { useLoaderData } from "@remix-run/react";
+import { useState, useEffect, useCallback } from "react";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { authenticateAdmin } from "../shopify.server";
+import {
+  useLoaderData,
+  useActionData,
+  useNavigation,
+  useSubmit,
+  useSearchParams,
+  useFetcher,
+} from "@remix-run/react";
+import {
+  getBundlePage,
+  getBundle,
+  countBundlesNeedingAttention,
+  importBundlesFromShopifyOnce,
+  updateBundle,
+  duplicateBundle,
+  deleteBundle,
+  publishBundle,
+  archiveBundle,
+  unarchiveBundle,
+  getPublications,
+  getPreviewUrls,
+  validateBundle,
+  verifyBundleComponents,
+} from "../models/Bundle.server";
+import { trySyncBundleInventory } from "../models/BundleInventory.server";
+import { getShopFormat } from "../models/BundleMarkets.server";
+import { UserErrorsError } from "../utils/graphql.server";
+import { downloadFile } from "../utils/download";
+import {
+  DiscountFields,
+  DEFAULT_DISCOUNT,
+  discountToFields,
+} from "../components/DiscountFields";
+import { ScheduleFields, EMPTY_SCHEDULE } from "../components/ScheduleFields";
+import {
+  calculateBundlePrice,
+  formatDiscount,
+  formatMoney,
+  normalizeDiscount,
+} from "../utils/pricing";
+import {
+  BUNDLE_TYPES,
+  MIX_AND_MATCH_DISCOUNT_TYPE_OPTIONS,
+} from "../utils/bundleTypes";
+import {
+  BUNDLE_STATUSES,
+  describeSchedule,
+  fromDateTimeInputValue,
+  getScheduledStatus,
+  toDateTimeInputValue,
+} from "../utils/bundleSchedule";
 
 export const loader = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
-
-  // Fetch bundle products with their metafields
-  const bundlesResponse = await admin.graphql(
-    `query getBundles {
-      products(first: 20, query: "tag:bundle") {
-        edges {
-          node {
-            id
-            title
-            description
-            metafield(namespace: "custom", key: "bundle_products") {
-              value
-            }
-          }
-        }
-      }
-    }`
-  );
+  const { client, session } = await authenticateAdmin(request);
+
+  const url = new URL(request.url);
+  const options = {
+    page: Math.max(parseInt(url.searchParams.get("page")) || 1, 1),
+    sort: url.searchParams.get("sort") ?? "newest",
+    filter: url.searchParams.get("filter") ?? "",
+  };
+  const pageOptions = { ...options, needsAttention: options.filter === "attention" };
+
+  // Bundles created before they were stored locally only exist in Shopify,
+  // so they are imported the first time the shop lists its bundles.
+  await importBundlesFromShopifyOnce(session.shop, client);
+  const bundlePage = await getBundlePage(session.shop, pageOptions);
+
+  const [previewUrls, publications, attentionCount, shopFormat] = await Promise.all([
+    getPreviewUrls(client, bundlePage.bundles),
+    getPublications(client),
+    countBundlesNeedingAttention(session.shop),
+    getShopFormat(client),
+  ]);
+
+  return json({
+    ...bundlePage,
+    ...options,
+    previewUrls,
+    publications,
+    attentionCount,
+    ...shopFormat,
+  });
+};
 
-  const bundlesJson = await bundlesResponse.json();
+export const action = async ({ request }) => {
+  const { client, session } = await authenticateAdmin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
 
-  // Process bundles to include their products
-  const bundlesWithProducts = await Promise.all(
-    bundlesJson.data.products.edges.map(async ({ node }) => {
-      const metafieldValue = node.metafield?.value;
-      if (metafieldValue) {
+  const bundle = await getBundle(formData.get("bundleId"), session.shop);
+  if (!bundle) {
+    return json({ intent, errors: [{ message: "Bundle not found" }] }, { status: 404 });
+  }
+
+  let result;
+  try {
+    switch (intent) {
+      case "update": {
+        let bundleData;
         try {
-          const bundleData = JSON.parse(metafieldValue);
-
-          // Fetch details for each product in the bundle
-          const bundleProductsQuery = await admin.graphql(
-            `query getProducts($ids: [ID!]!) {
-              nodes(ids: $ids) {
-                ... on Product {
-                  id
-                  title
-                  priceRangeV2 {
-                    minVariantPrice {
-                      amount
-                      currencyCode
-                    }
-                  }
-                }
-              }
-            }`,
+          bundleData = JSON.parse(formData.get("bundleData"));
+        } catch {
+          bundleData = null;
+        }
+
+        const errors =
+          validateBundle(bundleData) ?? (await verifyBundleComponents(client, bundleData));
+        if (errors) {
+          return json(
             {
-              variables: {
-                ids: bundleData.products
-              }
-            }
+              intent,
+              errors: Object.entries(errors).map(([field, message]) => ({ field, message })),
+            },
+            { status: 422 }
           );
+        }
 
-          const bundleProductsJson = await bundleProductsQuery.json();
+        result = await updateBundle(session.shop, client, bundle, bundleData);
+        break;
+      }
+      case "duplicate":
+        result = await duplicateBundle(session.shop, client, bundle);
+        break;
+      case "publish": {
+        let publicationIds;
+        try {
+          publicationIds = JSON.parse(formData.get("publicationIds"));
+        } catch {
+          publicationIds = null;
+        }
 
-          return {
-            ...node,
-            bundleProducts: bundleProductsJson.data.nodes,
-            discount: bundleData.discount
-          };
-        } catch (error) {
-          console.error('Error processing bundle:', error);
-          return node;
+        if (!Array.isArray(publicationIds) || publicationIds.length === 0) {
+          return json(
+            { intent, errors: [{ field: "publicationIds", message: "Choose at least one sales channel" }] },
+            { status: 422 }
+          );
+        }
+        if (getScheduledStatus(bundle) === BUNDLE_STATUSES.ARCHIVED) {
+          return json(
+            { intent, errors: [{ field: "endsAt", message: "The bundle's end date has passed; change it before publishing" }] },
+            { status: 422 }
+          );
         }
+
+        const status = await publishBundle(session.shop, client, bundle, publicationIds);
+        return json({ intent, success: true, status });
       }
-      return node;
-    })
+      case "archive":
+        await archiveBundle(session.shop, client, bundle);
+        break;
+      case "unarchive":
+        await unarchiveBundle(session.shop, client, bundle);
+        break;
+      case "delete":
+        // Deleting would detach its sales from it; archiving keeps them reportable.
+        if (bundle.saleCount > 0) {
+          return json(
+            { intent, errors: [{ message: "Bundles with sales can't be deleted; archive them instead" }] },
+            { status: 400 }
+          );
+        }
+        await deleteBundle(session.shop, client, bundle);
+        break;
+      default:
+        return json({ intent, errors: [{ message: `Unknown action: ${intent}` }] }, { status: 400 });
+    }
+  } catch (error) {
+    if (error instanceof UserErrorsError) {
+      return json({ intent, errors: error.userErrors }, { status: 400 });
+    }
+    throw error;
+  }
+
+  // Changed components or quantities change how many bundles can be assembled.
+  if (result?.bundle) {
+    await trySyncBundleInventory(client, result.bundle);
+  }
+
+  return json({ intent, success: true });
+};
+
+const FILTER_OPTIONS = [
+  { label: "All bundles", value: "" },
+  { label: "Needs attention", value: "attention" },
+];
+
+const SORT_OPTIONS = [
+  { label: "Newest first", value: "newest" },
+  { label: "Oldest first", value: "oldest" },
+  { label: "Name A–Z", value: "title-asc" },
+  { label: "Name Z–A", value: "title-desc" },
+  { label: "Recently updated", value: "updated" },
+];
+
+// Published bundles that are still drafts are waiting for their start date.
+function StatusBadge({ bundle }) {
+  if (bundle.status === BUNDLE_STATUSES.ARCHIVED) return <Badge>Archived</Badge>;
+  if (bundle.status === BUNDLE_STATUSES.ACTIVE) return <Badge tone="success">Active</Badge>;
+  if (bundle.publishedAt) return <Badge tone="info">Scheduled</Badge>;
+  return <Badge tone="attention">Draft</Badge>;
+}
+
+// The bundle's price in each market, each in the market's own currency.
+function MarketPrices({ fetcher, bundleId, locale }) {
+  const data = fetcher.data?.bundleId === String(bundleId) ? fetcher.data : null;
+
+  let content;
+  if (fetcher.state === "loading" || !data) {
+    content = <Text as="p" tone="subdued">Loading market prices…</Text>;
+  } else if (data.error) {
+    content = <Text as="p" tone="critical">Couldn't load market prices: {data.error}</Text>;
+  } else if (data.marketPrices.length === 0) {
+    content = <Text as="p" tone="subdued">No markets to preview this bundle in.</Text>;
+  } else {
+    content = (
+      <DataTable
+        columnContentTypes={["text", "numeric", "numeric"]}
+        headings={["Market", "Original Total", "Bundle Price"]}
+        rows={data.marketPrices.map((market) => [
+          market.primary ? `${market.name} (primary)` : market.name,
+          formatMoney(market.subtotal, market.currencyCode, locale),
+          formatMoney(market.total, market.currencyCode, locale),
+        ])}
+      />
+    );
+  }
+
+  return (
+    <Card>
+      <BlockStack gap="200">
+        <Text variant="headingSm">Prices by market</Text>
+        {content}
+        <Text as="p" variant="bodySm" tone="subdued">
+          Based on each market's prices for the bundle products. Checkout converts the bundle
+          price at the shopper's exchange rate, so it can differ slightly where a price list
+          sets fixed prices.
+        </Text>
+      </BlockStack>
+    </Card>
   );
+}
 
-  return json({
-    bundles: bundlesWithProducts.filter(bundle => bundle.bundleProducts?.length > 0)
-  });
+// The fields the edit modal shows errors next to.
+const EDIT_FIELDS = ["name", "description", "pickCount", "discount", "startsAt", "endsAt", "components"];
+
+// A failed update's errors by the field they belong to, as the edit modal shows
+// them. Other errors, like Shopify's, are shown together as one form error.
+function getEditErrors(errors) {
+  const fieldErrors = {};
+  const formErrors = [];
+  for (const { field, message } of errors) {
+    if (EDIT_FIELDS.includes(field)) {
+      fieldErrors[field] = message;
+    } else {
+      formErrors.push(message);
+    }
+  }
+  if (formErrors.length > 0) fieldErrors.form = formErrors.join(" ");
+
+  return fieldErrors;
+}
+
+const SUCCESS_MESSAGES = {
+  update: "Bundle updated",
+  duplicate: "Bundle duplicated as a draft",
+  publish: "Bundle published",
+  archive: "Bundle archived",
+  unarchive: "Bundle moved to drafts",
+  delete: "Bundle deleted",
 };
 
+// The Online Store is where most bundles are sold, so it's chosen by default.
+function defaultPublicationIds(publications) {
+  const onlineStore = publications.find(({ name }) => name === "Online Store");
+  return onlineStore ? [onlineStore.id] : publications.map(({ id }) => id);
+}
+
 export default function CreatedBundles() {
-  const { bundles } = useLoaderData();
+  const {
+    bundles,
+    total,
+    page,
+    pageCount,
+    sort,
+    filter,
+    previewUrls,
+    publications,
+    attentionCount,
+    currencyCode,
+    locale,
+    timeZone,
+  } = useLoaderData();
+  const [, setSearchParams] = useSearchParams();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+  const shopify = useAppBridge();
   const [isViewModalOpen, setIsViewModalOpen] = useState(false);
   const [selectedBundle, setSelectedBundle] = useState(null);
+  const [editingBundle, setEditingBundle] = useState(null);
+  const [editName, setEditName] = useState("");
+  const [editDescription, setEditDescription] = useState("");
+  const [editDiscount, setEditDiscount] = useState(DEFAULT_DISCOUNT);
+  const [editComponents, setEditComponents] = useState([]);
+  const [editPickCount, setEditPickCount] = useState("");
+  const [editSchedule, setEditSchedule] = useState(EMPTY_SCHEDULE);
+  const [editErrors, setEditErrors] = useState({});
+  const isEditingMixAndMatch = editingBundle?.type === BUNDLE_TYPES.MIX_AND_MATCH;
+  const [bundleToDelete, setBundleToDelete] = useState(null);
+  const [bundleToPublish, setBundleToPublish] = useState(null);
+  const [publicationIds, setPublicationIds] = useState([]);
+  const [isExporting, setIsExporting] = useState(false);
+  const marketPricesFetcher = useFetcher();
 
-  const bundleRows = bundles.map((bundle) => {
-    const productsCount = bundle.bundleProducts?.length || 0;
-    const totalPrice = bundle.bundleProducts?.reduce((sum, product) => {
-      return sum + parseFloat(product.priceRangeV2.minVariantPrice.amount);
-    }, 0) || 0;
+  const updateListParams = useCallback((changes, options) => {
+    setSearchParams((params) => {
+      for (const [key, value] of Object.entries(changes)) {
+        if (value) {
+          params.set(key, value);
+        } else {
+          params.delete(key);
+        }
+      }
+      return params;
+    }, options);
+  }, [setSearchParams]);
+
+  const isSubmitting = navigation.state === "submitting";
+  const submittingIntent = isSubmitting ? navigation.formData?.get("intent") : null;
+
+  useEffect(() => {
+    if (actionData?.success) {
+      shopify.toast.show(
+        actionData.intent === "publish" && actionData.status === BUNDLE_STATUSES.DRAFT
+          ? "Bundle published; it goes on sale at its start date"
+          : SUCCESS_MESSAGES[actionData.intent]
+      );
+      setEditingBundle(null);
+      setBundleToDelete(null);
+      setBundleToPublish(null);
+    } else if (actionData?.intent === "update" && actionData.errors) {
+      setEditErrors(getEditErrors(actionData.errors));
+    }
+  }, [actionData, shopify]);
+
+  const openEditModal = useCallback((bundle) => {
+    setEditingBundle(bundle);
+    setEditErrors({});
+    setEditName(bundle.title);
+    setEditDescription(bundle.description || "");
+    setEditDiscount(discountToFields(bundle.discount));
+    setEditPickCount(String(bundle.pickCount ?? ""));
+    setEditSchedule({
+      startsAt: toDateTimeInputValue(bundle.startsAt, timeZone),
+      endsAt: toDateTimeInputValue(bundle.endsAt, timeZone),
+    });
+    setEditComponents(
+      bundle.components.map(({ productId, variantId, title, variantTitle, price, quantity }) => ({
+        productId,
+        variantId,
+        title,
+        variantTitle,
+        price,
+        quantity,
+      }))
+    );
+  }, [timeZone]);
+
+  const handleAddComponents = useCallback(async () => {
+    if (isEditingMixAndMatch) {
+      const selection = await shopify.resourcePicker({
+        type: "product",
+        multiple: true,
+        filter: { variants: false },
+        selectionIds: editComponents.map(({ productId }) => ({ id: productId })),
+      });
+      if (!selection) return;
+
+      setEditComponents(
+        selection.map((product) => ({
+          productId: product.id,
+          variantId: null,
+          title: product.title,
+          variantTitle: null,
+          price: parseFloat(product.variants[0]?.price ?? 0),
+          quantity: 1,
+        }))
+      );
+      return;
+    }
+
+    const selectionIds = Object.values(
+      editComponents.reduce((selected, { productId, variantId }) => {
+        selected[productId] ??= { id: productId, variants: [] };
+        selected[productId].variants.push({ id: variantId });
+        return selected;
+      }, {})
+    );
+    const selection = await shopify.resourcePicker({
+      type: "product",
+      multiple: true,
+      selectionIds,
+    });
+    if (!selection) return;
+
+    // Keep the quantities of variants that were already in the bundle.
+    setEditComponents(
+      selection.flatMap((product) =>
+        product.variants.map((variant) => ({
+          productId: product.id,
+          variantId: variant.id,
+          title: product.title,
+          variantTitle: variant.title,
+          price: parseFloat(variant.price ?? 0),
+          quantity: editComponents.find(({ variantId }) => variantId === variant.id)?.quantity ?? 1,
+        }))
+      )
+    );
+  }, [isEditingMixAndMatch, editComponents, shopify]);
+
+  const handleUpdateBundle = useCallback(() => {
+    const scheduleData = {
+      startsAt: fromDateTimeInputValue(editSchedule.startsAt, timeZone),
+      endsAt: fromDateTimeInputValue(editSchedule.endsAt, timeZone),
+    };
+    const bundleData = isEditingMixAndMatch
+      ? {
+          type: BUNDLE_TYPES.MIX_AND_MATCH,
+          name: editName,
+          description: editDescription,
+          pickCount: parseInt(editPickCount) || 0,
+          collectionId: editingBundle.collectionId,
+          productIds: editComponents.map(({ productId }) => productId),
+          discount: normalizeDiscount(editDiscount),
+          ...scheduleData
+        }
+      : {
+          type: BUNDLE_TYPES.FIXED,
+          name: editName,
+          description: editDescription,
+          components: editComponents.map(({ productId, variantId, quantity }) => ({
+            productId,
+            variantId,
+            quantity,
+          })),
+          discount: normalizeDiscount(editDiscount),
+          ...scheduleData
+        };
+
+    submit(
+      {
+        intent: "update",
+        bundleId: editingBundle.id,
+        bundleData: JSON.stringify(bundleData),
+      },
+      { method: "post", replace: true }
+    );
+  }, [
+    isEditingMixAndMatch,
+    editingBundle,
+    editName,
+    editDescription,
+    editPickCount,
+    editComponents,
+    editDiscount,
+    editSchedule,
+    timeZone,
+    submit,
+  ]);
+
+  const handleDuplicateBundle = useCallback((bundle) => {
+    submit({ intent: "duplicate", bundleId: bundle.id }, { method: "post", replace: true });
+  }, [submit]);
+
+  const handleDeleteBundle = useCallback(() => {
+    submit({ intent: "delete", bundleId: bundleToDelete.id }, { method: "post", replace: true });
+  }, [bundleToDelete, submit]);
 
-    const discountedPrice = totalPrice * (1 - (bundle.discount || 0) / 100);
+  const openPublishModal = useCallback((bundle) => {
+    setBundleToPublish(bundle);
+    setPublicationIds(defaultPublicationIds(publications));
+  }, [publications]);
+
+  const handlePublishBundle = useCallback(() => {
+    submit(
+      {
+        intent: "publish",
+        bundleId: bundleToPublish.id,
+        publicationIds: JSON.stringify(publicationIds),
+      },
+      { method: "post", replace: true }
+    );
+  }, [bundleToPublish, publicationIds, submit]);
+
+  const handleStatusChange = useCallback((bundle, intent) => {
+    submit({ intent, bundleId: bundle.id }, { method: "post", replace: true });
+  }, [submit]);
+
+  const bundleRows = bundles.map((bundle) => {
+    const isMixAndMatch = bundle.type === BUNDLE_TYPES.MIX_AND_MATCH;
+    const isSubmittingFor = (intent) =>
+      submittingIntent === intent && navigation.formData?.get("bundleId") === String(bundle.id);
+    const productsCount = bundle.components.reduce((sum, component) => sum + component.quantity, 0);
+    const { total: discountedPrice } = calculateBundlePrice(bundle.components, bundle.discount);
 
     return [
       bundle.title,
-      `${productsCount} items`,
-      `$${discountedPrice.toFixed(2)}`,
-      <Button
-        key={bundle.id}
-        onClick={() => {
-          setSelectedBundle(bundle);
-          setIsViewModalOpen(true);
-        }}
-      >
-        View Details
-      </Button>
+      isMixAndMatch
+        ? `Pick ${bundle.pickCount} of ${bundle.components.length} products`
+        : `${productsCount} items`,
+      // A mix-and-match price depends on what the shopper picks.
+      isMixAndMatch
+        ? formatDiscount(bundle.discount, currencyCode, locale)
+        : formatMoney(discountedPrice, currencyCode, locale),
+      <BlockStack key={`${bundle.id}-schedule`} gap="100" inlineAlign="start">
+        <InlineStack gap="100">
+          <StatusBadge bundle={bundle} />
+          {bundle.attentionReason && <Badge tone="critical">Needs attention</Badge>}
+        </InlineStack>
+        <Text as="span" variant="bodySm" tone={bundle.attentionReason ? "critical" : "subdued"}>
+          {bundle.attentionReason ?? describeSchedule(bundle, { locale, timeZone })}
+        </Text>
+      </BlockStack>,
+      <InlineStack key={bundle.id} gap="200" wrap={false}>
+        <Button
+          onClick={() => {
+            setSelectedBundle(bundle);
+            setIsViewModalOpen(true);
+            if (!isMixAndMatch) {
+              marketPricesFetcher.load(`/app/bundle-market-prices?bundleId=${bundle.id}`);
+            }
+          }}
+        >
+          Preview
+        </Button>
+        <Button onClick={() => openEditModal(bundle)}>Edit</Button>
+        <Button onClick={() => handleDuplicateBundle(bundle)} loading={isSubmittingFor("duplicate")}>
+          Duplicate
+        </Button>
+        {!bundle.publishedAt && (
+          <Button variant="primary" onClick={() => openPublishModal(bundle)}>
+            Publish
+          </Button>
+        )}
+        {(bundle.publishedAt || bundle.saleCount > 0) && bundle.status !== BUNDLE_STATUSES.ARCHIVED && (
+          <Button onClick={() => handleStatusChange(bundle, "archive")} loading={isSubmittingFor("archive")}>
+            Archive
+          </Button>
+        )}
+        {bundle.status === BUNDLE_STATUSES.ARCHIVED && (
+          <Button onClick={() => handleStatusChange(bundle, "unarchive")} loading={isSubmittingFor("unarchive")}>
+            Unarchive
+          </Button>
+        )}
+        {bundle.saleCount === 0 && (
+          <Button tone="critical" onClick={() => setBundleToDelete(bundle)}>
+            Delete
+          </Button>
+        )}
+      </InlineStack>
     ];
   });
 
+  const exportCsv = useCallback(async () => {
+    setIsExporting(true);
+    try {
+      await downloadFile("/app/bundles.csv", "bundles.csv");
+    } catch (error) {
+      shopify.toast.show("Couldn't export the bundles", { isError: true });
+    } finally {
+      setIsExporting(false);
+    }
+  }, [shopify]);
+
   return (
     <Page
       title="Created Bundles"
@@ -125,25 +604,102 @@ export default function CreatedBundles() {
         content: "Create New Bundle",
         url: "/app/bundles",
       }}
+      secondaryActions={[
+        {
+          content: "Export CSV",
+          onAction: exportCsv,
+          loading: isExporting,
+        },
+        {
+          content: "Import CSV",
+          url: "/app/import-bundles",
+        },
+      ]}
     >
       <Layout>
+        {/* The edit modal shows its own errors. */}
+        {actionData?.errors?.length > 0 && !(editingBundle && actionData.intent === "update") && (
+          <Layout.Section>
+            <Banner tone="critical" title="The bundle could not be saved">
+              <List>
+                {actionData.errors.map(({ field, message }) => (
+                  <List.Item key={`${field}-${message}`}>{message}</List.Item>
+                ))}
+              </List>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {attentionCount > 0 && filter !== "attention" && (
+          <Layout.Section>
+            <Banner
+              tone="warning"
+              title={`${attentionCount} ${attentionCount === 1 ? "bundle needs" : "bundles need"} attention`}
+              action={{
+                content: "Show bundles",
+                onAction: () => updateListParams({ filter: "attention", page: null }),
+              }}
+            >
+              <p>
+                Some of their products were deleted or changed, so they were taken off sale. Edit
+                them, then publish them again.
+              </p>
+            </Banner>
+          </Layout.Section>
+        )}
+
         <Layout.Section>
           <Card>
             <BlockStack gap="400">
-              <Text variant="headingMd" as="h2">All Bundles</Text>
-              {bundleRows.length > 0 ? (
-                <DataTable
-                  columnContentTypes={["text", "text", "numeric", "text"]}
-                  headings={["Bundle Name", "Products", "Price", "Action"]}
-                  rows={bundleRows}
-                />
+              <InlineStack align="space-between" blockAlign="center">
+                <Text variant="headingMd" as="h2">All Bundles</Text>
+                <InlineStack gap="300">
+                  <Select
+                    label="Show"
+                    labelInline
+                    options={FILTER_OPTIONS}
+                    value={filter}
+                    onChange={(value) => updateListParams({ filter: value, page: null }, { replace: true })}
+                  />
+                  <Select
+                    label="Sort by"
+                    labelInline
+                    options={SORT_OPTIONS}
+                    value={sort}
+                    onChange={(value) => updateListParams({ sort: value, page: null }, { replace: true })}
+                  />
+                </InlineStack>
+              </InlineStack>
+              {total > 0 ? (
+                <>
+                  <DataTable
+                    columnContentTypes={["text", "text", "numeric", "text", "text"]}
+                    headings={["Bundle Name", "Products", "Price", "Schedule", "Action"]}
+                    rows={bundleRows}
+                  />
+                  <InlineStack align="center">
+                    <Pagination
+                      hasPrevious={page > 1}
+                      onPrevious={() => updateListParams({ page: String(page - 1) })}
+                      hasNext={page < pageCount}
+                      onNext={() => updateListParams({ page: String(page + 1) })}
+                      label={`Page ${page} of ${pageCount}`}
+                    />
+                  </InlineStack>
+                </>
               ) : (
-                <EmptyState
-                  heading="No bundles created yet"
-                  image=""
-                >
-                  <p>Create your first bundle by clicking the "Create New Bundle" button above.</p>
-                </EmptyState>
+                filter === "attention" ? (
+                  <Text as="p" tone="subdued" alignment="center">
+                    No bundles need attention.
+                  </Text>
+                ) : (
+                  <EmptyState
+                    heading="No bundles created yet"
+                    image=""
+                  >
+                    <p>Create your first bundle by clicking the "Create New Bundle" button above.</p>
+                  </EmptyState>
+                )
               )}
             </BlockStack>
           </Card>
@@ -158,51 +714,344 @@ export default function CreatedBundles() {
           setSelectedBundle(null);
         }}
         title={selectedBundle?.title || "Bundle Details"}
+        primaryAction={
+          selectedBundle && previewUrls[selectedBundle.productId]
+            ? {
+                content: "Preview in store",
+                url: previewUrls[selectedBundle.productId],
+                target: "_blank",
+              }
+            : undefined
+        }
+        secondaryActions={
+          selectedBundle && !selectedBundle.publishedAt
+            ? [
+                {
+                  content: "Publish",
+                  onAction: () => {
+                    setIsViewModalOpen(false);
+                    openPublishModal(selectedBundle);
+                  },
+                },
+              ]
+            : undefined
+        }
       >
         <Modal.Section>
           <BlockStack gap="400">
             {selectedBundle?.description && (
               <Text variant="bodyMd">{selectedBundle.description}</Text>
             )}
+            {selectedBundle && (
+              <InlineStack gap="200" blockAlign="center">
+                <StatusBadge bundle={selectedBundle} />
+                <Text as="span" variant="bodyMd">
+                  {describeSchedule(selectedBundle, { locale, timeZone })}
+                </Text>
+              </InlineStack>
+            )}
+            {selectedBundle?.attentionReason && (
+              <Banner tone="warning" title="This bundle needs attention">
+                <p>{selectedBundle.attentionReason}</p>
+              </Banner>
+            )}
 
-            <Text as="h3" variant="headingMd">Bundle Products</Text>
-            {selectedBundle?.bundleProducts?.map((product) => (
-              <Card key={product.id}>
+            <Text as="h3" variant="headingMd">
+              {selectedBundle?.type === BUNDLE_TYPES.MIX_AND_MATCH
+                ? `Shoppers pick ${selectedBundle.pickCount} items from`
+                : "Bundle Products"}
+            </Text>
+            {selectedBundle?.type === BUNDLE_TYPES.MIX_AND_MATCH && (
+              <Card>
                 <BlockStack gap="200">
-                  <Text variant="bodyMd" as="span">{product.title}</Text>
+                  {selectedBundle.components.map((component) => (
+                    <Text key={component.id} variant="bodyMd" as="span">
+                      {component.title} (from {formatMoney(component.price, currencyCode, locale)})
+                    </Text>
+                  ))}
+                  <Text variant="headingSm">
+                    Bundle Discount: {formatDiscount(selectedBundle.discount, currencyCode, locale)}
+                  </Text>
+                </BlockStack>
+              </Card>
+            )}
+            {selectedBundle?.type !== BUNDLE_TYPES.MIX_AND_MATCH && selectedBundle?.components.map((component) => (
+              <Card key={component.id}>
+                <BlockStack gap="200">
+                  <Text variant="bodyMd" as="span">
+                    {component.quantity}× {component.title}
+                    {component.variantTitle && component.variantTitle !== "Default Title" && ` – ${component.variantTitle}`}
+                  </Text>
                   <Text variant="bodySm" as="span">
-                    Price: ${parseFloat(product.priceRangeV2.minVariantPrice.amount).toFixed(2)}
+                    Price: {formatMoney(component.price, currencyCode, locale)} each
                   </Text>
                 </BlockStack>
               </Card>
             ))}
 
-            {selectedBundle?.bundleProducts && (
+            {selectedBundle?.type !== BUNDLE_TYPES.MIX_AND_MATCH && selectedBundle?.components && (
               <Card>
                 <BlockStack gap="200">
-                  <Text variant="headingSm">Bundle Discount: {selectedBundle.discount}%</Text>
+                  <Text variant="headingSm">
+                    Bundle Discount: {formatDiscount(selectedBundle.discount, currencyCode, locale)}
+                  </Text>
                   <Text variant="bodySm">
-                    Original Total: $
-                    {selectedBundle.bundleProducts.reduce(
-                      (sum, product) => sum + parseFloat(product.priceRangeV2.minVariantPrice.amount),
-                      0
-                    ).toFixed(2)}
+                    Original Total:{" "}
+                    {formatMoney(
+                      calculateBundlePrice(selectedBundle.components, selectedBundle.discount).subtotal,
+                      currencyCode,
+                      locale
+                    )}
                   </Text>
                   <Text variant="headingSm">
-                    Final Price: $
-                    {(
-                      selectedBundle.bundleProducts.reduce(
-                        (sum, product) => sum + parseFloat(product.priceRangeV2.minVariantPrice.amount),
-                        0
-                      ) * (1 - selectedBundle.discount / 100)
-                    ).toFixed(2)}
+                    Final Price:{" "}
+                    {formatMoney(
+                      calculateBundlePrice(selectedBundle.components, selectedBundle.discount).total,
+                      currencyCode,
+                      locale
+                    )}
                   </Text>
                 </BlockStack>
               </Card>
             )}
+
+            {selectedBundle?.type !== BUNDLE_TYPES.MIX_AND_MATCH && selectedBundle && (
+              <MarketPrices
+                fetcher={marketPricesFetcher}
+                bundleId={selectedBundle.id}
+                locale={locale}
+              />
+            )}
+          </BlockStack>
+        </Modal.Section>
+      </Modal>
+
+      {/* Edit Bundle Modal */}
+      <Modal
+        open={editingBundle !== null}
+        onClose={() => setEditingBundle(null)}
+        title="Edit Bundle"
+        primaryAction={{
+          content: "Save",
+          onAction: handleUpdateBundle,
+          loading: submittingIntent === "update",
+          disabled: editComponents.length === 0 || !editName
+        }}
+        secondaryActions={[
+          {
+            content: "Cancel",
+            onAction: () => setEditingBundle(null),
+          },
+        ]}
+      >
+        <Modal.Section>
+          <BlockStack gap="400">
+            {editErrors.form && (
+              <Banner tone="critical">
+                <p>{editErrors.form}</p>
+              </Banner>
+            )}
+            {editingBundle?.attentionReason && (
+              <Banner tone="warning">
+                <p>{editingBundle.attentionReason}</p>
+              </Banner>
+            )}
+            <TextField
+              label="Bundle Name"
+              value={editName}
+              onChange={setEditName}
+              autoComplete="off"
+              error={editErrors.name}
+              required
+            />
+            <TextField
+              label="Description"
+              value={editDescription}
+              onChange={setEditDescription}
+              error={editErrors.description}
+              multiline={4}
+            />
+            {isEditingMixAndMatch && (
+              <TextField
+                label="Items to pick"
+                type="number"
+                min={2}
+                value={editPickCount}
+                onChange={setEditPickCount}
+                error={editErrors.pickCount}
+                helpText="How many items shoppers choose for the box"
+                autoComplete="off"
+              />
+            )}
+            <DiscountFields
+              discount={editDiscount}
+              onChange={setEditDiscount}
+              error={editErrors.discount}
+              currencyCode={currencyCode}
+              locale={locale}
+              typeOptions={isEditingMixAndMatch ? MIX_AND_MATCH_DISCOUNT_TYPE_OPTIONS : undefined}
+              showPriceRules={!isEditingMixAndMatch}
+            />
+            <ScheduleFields schedule={editSchedule} onChange={setEditSchedule} errors={editErrors} />
+            {editErrors.components && (
+              <InlineError message={editErrors.components} fieldID="editBundleComponents" />
+            )}
+
+            {isEditingMixAndMatch && (
+              <Card>
+                <BlockStack gap="400">
+                  <InlineStack align="space-between" blockAlign="center">
+                    <Text variant="headingMd">Eligible Products</Text>
+                    {!editingBundle.collectionId && (
+                      <Button onClick={handleAddComponents}>Select products</Button>
+                    )}
+                  </InlineStack>
+                  {editingBundle.collectionId && (
+                    <Text as="p" tone="subdued">
+                      These products come from a collection and are read from it again when you
+                      save.
+                    </Text>
+                  )}
+                  <DataTable
+                    columnContentTypes={["text", "numeric", "text"]}
+                    headings={["Product", "Price", "Action"]}
+                    rows={editComponents.map((component) => [
+                      component.title,
+                      `from ${formatMoney(component.price, currencyCode, locale)}`,
+                      editingBundle.collectionId ? "" : (
+                        <Button
+                          key={component.productId}
+                          tone="critical"
+                          onClick={() =>
+                            setEditComponents(
+                              editComponents.filter(({ productId }) => productId !== component.productId)
+                            )
+                          }
+                        >
+                          Remove
+                        </Button>
+                      )
+                    ])}
+                  />
+                </BlockStack>
+              </Card>
+            )}
+
+            {!isEditingMixAndMatch && (
+              <Card>
+                <BlockStack gap="400">
+                  <InlineStack align="space-between" blockAlign="center">
+                    <Text variant="headingMd">Bundle Products</Text>
+                    <Button onClick={handleAddComponents}>Select products</Button>
+                  </InlineStack>
+                  <DataTable
+                    columnContentTypes={["text", "text", "numeric", "numeric", "text"]}
+                    headings={["Product", "Variant", "Quantity", "Price", "Action"]}
+                    rows={editComponents.map((component) => [
+                      component.title,
+                      component.variantTitle,
+                      <TextField
+                        key={`${component.variantId}-quantity`}
+                        label="Quantity"
+                        labelHidden
+                        type="number"
+                        min={1}
+                        value={String(component.quantity)}
+                        onChange={(value) =>
+                          setEditComponents(
+                            editComponents.map((c) =>
+                              c.variantId === component.variantId
+                                ? { ...c, quantity: Math.max(parseInt(value) || 1, 1) }
+                                : c
+                            )
+                          )
+                        }
+                        autoComplete="off"
+                      />,
+                      formatMoney(component.price * component.quantity, currencyCode, locale),
+                      <Button
+                        key={component.variantId}
+                        tone="critical"
+                        onClick={() =>
+                          setEditComponents(
+                            editComponents.filter(({ variantId }) => variantId !== component.variantId)
+                          )
+                        }
+                      >
+                        Remove
+                      </Button>
+                    ])}
+                  />
+                </BlockStack>
+              </Card>
+            )}
           </BlockStack>
         </Modal.Section>
       </Modal>
+
+      {/* Publish Bundle Modal */}
+      <Modal
+        open={bundleToPublish !== null}
+        onClose={() => setBundleToPublish(null)}
+        title={`Publish ${bundleToPublish?.title ?? "bundle"}`}
+        primaryAction={{
+          content: "Publish",
+          onAction: handlePublishBundle,
+          loading: submittingIntent === "publish",
+          disabled: publicationIds.length === 0,
+        }}
+        secondaryActions={[
+          {
+            content: "Cancel",
+            onAction: () => setBundleToPublish(null),
+          },
+        ]}
+      >
+        <Modal.Section>
+          <BlockStack gap="400">
+            <ChoiceList
+              title="Sales channels"
+              allowMultiple
+              choices={publications.map(({ id, name }) => ({ label: name, value: id }))}
+              selected={publicationIds}
+              onChange={setPublicationIds}
+            />
+            {bundleToPublish && (
+              <Text as="p" tone="subdued">
+                {getScheduledStatus(bundleToPublish) === BUNDLE_STATUSES.DRAFT
+                  ? `The bundle goes on sale on these channels at its start date. ${describeSchedule(bundleToPublish, { locale, timeZone })}.`
+                  : "The bundle goes on sale on these channels right away."}
+              </Text>
+            )}
+          </BlockStack>
+        </Modal.Section>
+      </Modal>
+
+      {/* Delete Bundle Confirmation */}
+      <Modal
+        open={bundleToDelete !== null}
+        onClose={() => setBundleToDelete(null)}
+        title={`Delete ${bundleToDelete?.title ?? "bundle"}?`}
+        primaryAction={{
+          content: "Delete",
+          destructive: true,
+          onAction: handleDeleteBundle,
+          loading: submittingIntent === "delete",
+        }}
+        secondaryActions={[
+          {
+            content: "Cancel",
+            onAction: () => setBundleToDelete(null),
+          },
+        ]}
+      >
+        <Modal.Section>
+          <Text as="p">
+            This permanently deletes the bundle product from your store. The component
+            products are not affected. This can't be undone.
+          </Text>
+        </Modal.Section>
+      </Modal>
     </Page>
   );
 }
@@ -0,0 +1,20 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { exportCustomerDataRequest } from "../models/ShopData.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const id = new URL(request.url).searchParams.get("id");
+
+  const data = await exportCustomerDataRequest(session.shop, id);
+  if (!data) {
+    return json({ error: "Data request not found" }, { status: 404 });
+  }
+
+  return new Response(JSON.stringify(data, null, 2), {
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      "Content-Disposition": `attachment; filename="data-request-${data.requestId}.json"`,
+    },
+  });
+};
@@ -0,0 +1,81 @@
+import { json } from "@remix-run/node";
+import { useCallback, useState } from "react";
+import { useLoaderData } from "@remix-run/react";
+import { Page, Layout, Card, BlockStack, Button, DataTable, Text } from "@shopify/polaris";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getCustomerDataRequests } from "../models/ShopData.server";
+import { downloadFile } from "../utils/download";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const dataRequests = await getCustomerDataRequests(session.shop);
+
+  return json({
+    dataRequests: dataRequests.map(({ id, requestId, customerId, orderIds, createdAt }) => ({
+      id,
+      requestId,
+      customerId,
+      orderCount: JSON.parse(orderIds).length,
+      createdAt,
+    })),
+  });
+};
+
+export default function DataRequests() {
+  const { dataRequests } = useLoaderData();
+  const shopify = useAppBridge();
+  const [downloadingId, setDownloadingId] = useState(null);
+
+  const download = useCallback(async ({ id, requestId }) => {
+    setDownloadingId(id);
+    try {
+      await downloadFile(`/app/data-request.json?id=${id}`, `data-request-${requestId}.json`);
+    } catch (error) {
+      shopify.toast.show("Couldn't download the customer's data", { isError: true });
+    } finally {
+      setDownloadingId(null);
+    }
+  }, [shopify]);
+
+  const rows = dataRequests.map((dataRequest) => [
+    new Date(dataRequest.createdAt).toISOString().slice(0, 10),
+    dataRequest.customerId ?? "Unknown",
+    dataRequest.orderCount,
+    <Button
+      key={dataRequest.id}
+      onClick={() => download(dataRequest)}
+      loading={downloadingId === dataRequest.id}
+    >
+      Download
+    </Button>
+  ]);
+
+  return (
+    <Page title="Customer Data Requests">
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <Text as="p">
+                Customers can ask for the data stores keep about them. Download what this app
+                stores about each customer's orders and send it to them within 30 days of their
+                request.
+              </Text>
+              <DataTable
+                columnContentTypes={["text", "text", "numeric", "text"]}
+                headings={["Requested", "Customer ID", "Orders", "Action"]}
+                rows={rows}
+              />
+              {rows.length === 0 && (
+                <Text as="p" tone="subdued" alignment="center">
+                  No customers have asked for their data.
+                </Text>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
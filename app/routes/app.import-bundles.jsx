@@ -0,0 +1,226 @@
+import { json } from "@remix-run/node";
+import {
+  Page,
+  Layout,
+  Card,
+  DataTable,
+  DropZone,
+  BlockStack,
+  Box,
+  Text,
+  Badge,
+  Banner,
+  List,
+} from "@shopify/polaris";
+import { useState, useCallback, useEffect } from "react";
+import { useActionData, useLoaderData, useNavigation, useSubmit } from "@remix-run/react";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { authenticateAdmin } from "../shopify.server";
+import {
+  BUNDLE_CSV_COLUMNS,
+  MAX_IMPORT_BUNDLES,
+  importBundleCsv,
+  planBundleImport,
+  summarizeBundleImport,
+} from "../models/BundleCsv.server";
+
+export const loader = async ({ request }) => {
+  await authenticateAdmin(request);
+
+  return json({ columns: BUNDLE_CSV_COLUMNS, maxBundles: MAX_IMPORT_BUNDLES });
+};
+
+export const action = async ({ request }) => {
+  const { client, session } = await authenticateAdmin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const csv = String(formData.get("csv") ?? "");
+
+  if (intent === "preview") {
+    const plan = await planBundleImport(session.shop, client, csv);
+    return json({ intent, ...summarizeBundleImport(plan) });
+  }
+
+  if (intent === "import") {
+    const result = await importBundleCsv(session.shop, client, csv);
+    return json({ intent, ...summarizeBundleImport(result) });
+  }
+
+  return json({ error: "Unknown intent" }, { status: 400 });
+};
+
+const ACTION_BADGES = {
+  create: { tone: "success", label: "Create" },
+  update: { tone: "info", label: "Update" },
+  unchanged: { tone: undefined, label: "No changes" },
+  error: { tone: "critical", label: "Error" },
+};
+
+function formatRows(rows) {
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+  return first === last ? `${first}` : `${first}–${last}`;
+}
+
+function ImportDetails({ bundle }) {
+  if (bundle.errors.length > 0) {
+    return (
+      <BlockStack gap="100">
+        {bundle.errors.map(({ row, message }) => (
+          <Text key={`${row}-${message}`} as="p" tone="critical">
+            Row {row}: {message}
+          </Text>
+        ))}
+      </BlockStack>
+    );
+  }
+
+  if (bundle.action === "update") {
+    return <Text as="p">Changes: {bundle.changes.join(", ")}</Text>;
+  }
+
+  return null;
+}
+
+export default function ImportBundles() {
+  const { columns, maxBundles } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+  const shopify = useAppBridge();
+  const [file, setFile] = useState(null);
+  const [csv, setCsv] = useState("");
+
+  const submittingIntent = navigation.state === "submitting" && navigation.formData?.get("intent");
+  const bundles = actionData?.bundles ?? [];
+  const importable = bundles.filter(({ action }) => action === "create" || action === "update");
+  const isPreview = actionData?.intent === "preview";
+  const imported = actionData?.intent === "import" ? bundles.filter(({ imported }) => imported) : [];
+  const failed = actionData?.intent === "import" ? bundles.filter(({ action }) => action === "error") : [];
+
+  useEffect(() => {
+    if (actionData?.intent === "import" && imported.length > 0) {
+      shopify.toast.show(`Imported ${imported.length} ${imported.length === 1 ? "bundle" : "bundles"}`);
+    }
+  }, [actionData, imported.length, shopify]);
+
+  const handleDrop = useCallback(async (_droppedFiles, acceptedFiles) => {
+    const [acceptedFile] = acceptedFiles;
+    if (!acceptedFile) return;
+
+    const text = await acceptedFile.text();
+    setFile(acceptedFile);
+    setCsv(text);
+    submit({ intent: "preview", csv: text }, { method: "post" });
+  }, [submit]);
+
+  const handleImport = useCallback(() => {
+    submit({ intent: "import", csv }, { method: "post" });
+  }, [csv, submit]);
+
+  const rows = bundles.map((bundle) => {
+    const badge = ACTION_BADGES[bundle.action];
+    return [
+      formatRows(bundle.rows),
+      bundle.name || "Untitled bundle",
+      bundle.imported ? (
+        <Badge tone="success">Imported</Badge>
+      ) : (
+        <Badge tone={badge.tone}>{badge.label}</Badge>
+      ),
+      <ImportDetails key={formatRows(bundle.rows)} bundle={bundle} />,
+    ];
+  });
+
+  return (
+    <Page
+      title="Import bundles"
+      backAction={{ content: "Created Bundles", url: "/app/created-bundles" }}
+      primaryAction={{
+        content: `Import ${importable.length} ${importable.length === 1 ? "bundle" : "bundles"}`,
+        onAction: handleImport,
+        disabled: !isPreview || importable.length === 0,
+        loading: submittingIntent === "import",
+      }}
+    >
+      <Layout>
+        {actionData?.error && (
+          <Layout.Section>
+            <Banner tone="critical" title="The CSV could not be read">
+              <p>{actionData.error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        {actionData?.intent === "import" && !actionData.error && (
+          <Layout.Section>
+            <Banner
+              tone={failed.length > 0 ? "warning" : "success"}
+              title={`Imported ${imported.length} of ${imported.length + failed.length} bundles`}
+            >
+              {failed.length > 0 && (
+                <p>The bundles marked Error weren't imported. Fix their rows and import the CSV again.</p>
+              )}
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <Text as="p">
+                Upload a CSV with one row per component. Rows with the same Bundle ID, or the
+                same Name for new bundles, make up one bundle. You can import up to{" "}
+                {maxBundles} bundles at a time, and you'll see what changes before
+                anything is saved.
+              </Text>
+              <List>
+                <List.Item>Columns: {columns.join(", ")}</List.Item>
+                <List.Item>
+                  Components are matched by SKU or by product handle and variant name.
+                </List.Item>
+                <List.Item>
+                  Bundles with an ID, or with the name of an existing bundle, are updated.
+                  Export your bundles for a file to start from.
+                </List.Item>
+                <List.Item>New bundles are created as drafts for you to publish.</List.Item>
+              </List>
+              <DropZone
+                accept=".csv,text/csv"
+                type="file"
+                allowMultiple={false}
+                onDrop={handleDrop}
+              >
+                {file ? (
+                  <Box padding="400">
+                    <Text as="p" alignment="center">{file.name}</Text>
+                  </Box>
+                ) : (
+                  <DropZone.FileUpload actionHint="Accepts .csv files" />
+                )}
+              </DropZone>
+              {submittingIntent === "preview" && <Text as="p" tone="subdued">Checking the CSV…</Text>}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        {bundles.length > 0 && (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  {isPreview ? "Preview" : "Results"}
+                </Text>
+                <DataTable
+                  columnContentTypes={["text", "text", "text", "text"]}
+                  headings={["Rows", "Bundle", "Action", "Details"]}
+                  rows={rows}
+                />
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        )}
+      </Layout>
+    </Page>
+  );
+}
@@ -24,6 +24,7 @@ export default function App() {
         </Link>
         <Link to="/app/bundles">Bundle Creator</Link>
         <Link to="/app/created-bundles">Created Bundles</Link>
+        <Link to="/app/data-requests">Data Requests</Link>
         <Link to="/app/additional">Additional page</Link>
       </NavMenu>
       <Outlet />
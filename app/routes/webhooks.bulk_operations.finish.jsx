@@ -0,0 +1,39 @@
+import { authenticate } from "../shopify.server";
+import { createAdminClient } from "../utils/graphql.server";
+import { processWebhookOnce } from "../models/WebhookEvent.server";
+import { queueOrderImport, runOrderImport } from "../models/OrderHistory.server";
+
+export const action = async ({ request }) => {
+  const { admin, payload, topic, shop, webhookId } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // The app may already have been uninstalled, in which case there is no session to act with.
+  if (!admin) {
+    return new Response();
+  }
+
+  // The app's only bulk queries are order history exports.
+  if (payload.type !== "query" || payload.status !== "completed") {
+    console.log(`Order export ${payload.admin_graphql_api_id} of ${shop} ended ${payload.status}`);
+    return new Response();
+  }
+
+  let orderImport;
+  const processed = await processWebhookOnce({ webhookId, shop, topic }, async (tx) => {
+    orderImport = await queueOrderImport(tx, shop, payload.admin_graphql_api_id);
+  });
+  if (!processed) {
+    console.log(`Skipped duplicate ${topic} webhook ${webhookId} for ${shop}`);
+    return new Response();
+  }
+
+  // A large history takes longer to save than Shopify waits for a response,
+  // so the import carries on after responding. It was queued with the
+  // webhook, so a failed import is retried rather than lost.
+  runOrderImport(orderImport, createAdminClient(admin, shop)).catch((error) =>
+    console.error(`Failed to import the order history of ${shop}:`, error)
+  );
+
+  return new Response();
+};
@@ -0,0 +1,15 @@
+import { authenticate } from "../shopify.server";
+import { recordCustomerDataRequest } from "../models/ShopData.server";
+
+export const action = async ({ request }) => {
+  const { payload, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // The merchant has to be sent this data within 30 days of the request, so
+  // it's kept for them to download from the app.
+  const dataRequest = await recordCustomerDataRequest(shop, payload);
+  console.log(`Recorded data request ${dataRequest.requestId} for ${shop}`);
+
+  return new Response();
+};
@@ -0,0 +1,17 @@
+import { authenticate } from "../shopify.server";
+import { redactCustomerOrders } from "../models/ShopData.server";
+
+export const action = async ({ request }) => {
+  const { payload, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  const deleted = await redactCustomerOrders(
+    shop,
+    payload.orders_to_redact ?? [],
+    payload.customer?.id,
+  );
+  console.log(`Redacted a customer of ${shop}:`, deleted);
+
+  return new Response();
+};
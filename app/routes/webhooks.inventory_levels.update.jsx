@@ -0,0 +1,30 @@
+import { authenticate } from "../shopify.server";
+import { createAdminClient } from "../utils/graphql.server";
+import {
+  getVariantIdForInventoryItem,
+  syncInventoryForComponents,
+} from "../models/BundleInventory.server";
+
+export const action = async ({ request }) => {
+  const { admin, payload, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // The app may already have been uninstalled, in which case there is no session to act with.
+  if (!admin) {
+    return new Response();
+  }
+
+  const client = createAdminClient(admin, shop);
+
+  const variantId = await getVariantIdForInventoryItem(
+    client,
+    `gid://shopify/InventoryItem/${payload.inventory_item_id}`,
+  );
+
+  if (variantId) {
+    await syncInventoryForComponents(shop, client, { variantIds: [variantId] });
+  }
+
+  return new Response();
+};
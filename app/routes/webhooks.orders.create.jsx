@@ -0,0 +1,26 @@
+import { authenticate } from "../shopify.server";
+import { processWebhookOnce } from "../models/WebhookEvent.server";
+import { recordBundleSales } from "../models/BundleSale.server";
+
+export const action = async ({ request }) => {
+  const { payload, session, topic, shop, webhookId } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // The app may already have been uninstalled, after which sales are no longer tracked.
+  if (!session) {
+    return new Response();
+  }
+
+  // Orders paid at checkout arrive already paid, possibly before orders/paid.
+  const processed = await processWebhookOnce({ webhookId, shop, topic }, (tx) =>
+    recordBundleSales(tx, shop, payload, {
+      paidAt: payload.financial_status === "paid" ? new Date(payload.processed_at) : null,
+    })
+  );
+  if (!processed) {
+    console.log(`Skipped duplicate ${topic} webhook ${webhookId} for ${shop}`);
+  }
+
+  return new Response();
+};
@@ -0,0 +1,23 @@
+import { authenticate } from "../shopify.server";
+import { processWebhookOnce } from "../models/WebhookEvent.server";
+import { recordBundleSales } from "../models/BundleSale.server";
+
+export const action = async ({ request }) => {
+  const { payload, session, topic, shop, webhookId } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // The app may already have been uninstalled, after which sales are no longer tracked.
+  if (!session) {
+    return new Response();
+  }
+
+  const processed = await processWebhookOnce({ webhookId, shop, topic }, (tx) =>
+    recordBundleSales(tx, shop, payload, { paidAt: new Date() })
+  );
+  if (!processed) {
+    console.log(`Skipped duplicate ${topic} webhook ${webhookId} for ${shop}`);
+  }
+
+  return new Response();
+};
@@ -0,0 +1,23 @@
+import { authenticate } from "../shopify.server";
+import { createAdminClient } from "../utils/graphql.server";
+import { refreshBundlesWithProduct } from "../models/Bundle.server";
+
+export const action = async ({ request }) => {
+  const { admin, payload, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // The app may already have been uninstalled, in which case there is no session to act with.
+  if (!admin) {
+    return new Response();
+  }
+
+  // The payload only carries the numeric ID of the deleted product.
+  const productId = `gid://shopify/Product/${payload.id}`;
+  const flagged = await refreshBundlesWithProduct(shop, createAdminClient(admin, shop), productId);
+  for (const bundle of flagged) {
+    console.log(`Flagged bundle ${bundle.productId} of ${shop}: ${bundle.attentionReason}`);
+  }
+
+  return new Response();
+};
@@ -0,0 +1,31 @@
+import { authenticate } from "../shopify.server";
+import { createAdminClient } from "../utils/graphql.server";
+import { refreshBundlesWithProduct } from "../models/Bundle.server";
+import { syncInventoryForComponents } from "../models/BundleInventory.server";
+
+export const action = async ({ request }) => {
+  const { admin, payload, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // The app may already have been uninstalled, in which case there is no session to act with.
+  if (!admin) {
+    return new Response();
+  }
+
+  const client = createAdminClient(admin, shop);
+  const productId = payload.admin_graphql_api_id;
+
+  // A component's price, title or variants may have changed, or a variant a
+  // bundle uses may be gone.
+  const flagged = await refreshBundlesWithProduct(shop, client, productId);
+  for (const bundle of flagged) {
+    console.log(`Flagged bundle ${bundle.productId} of ${shop}: ${bundle.attentionReason}`);
+  }
+
+  // Variants can be added, removed or change their inventory policy, all of
+  // which affect how many bundles can be assembled.
+  await syncInventoryForComponents(shop, client, { productIds: [productId] });
+
+  return new Response();
+};
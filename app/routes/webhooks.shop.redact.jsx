@@ -0,0 +1,14 @@
+import { authenticate } from "../shopify.server";
+import { redactShop } from "../models/ShopData.server";
+
+export const action = async ({ request }) => {
+  const { topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // Sent 48 hours after the app is uninstalled, when the shop's data has to go.
+  const deleted = await redactShop(shop);
+  console.log(`Redacted ${shop}:`, deleted);
+
+  return new Response();
+};
@@ -6,6 +6,9 @@ import {
 } from "@shopify/shopify-app-remix/server";
 import { PrismaSessionStorage } from "@shopify/shopify-app-session-storage-prisma";
 import prisma from "./db.server";
+import { ensureBundleCartTransform } from "./models/CartTransform.server";
+import { setUpBundleMetafield } from "./models/BundleMetafield.server";
+import { createAdminClient, UserErrorsError } from "./utils/graphql.server";
 
 const shopify = shopifyApp({
   apiKey: process.env.SHOPIFY_API_KEY,
@@ -16,6 +19,28 @@ const shopify = shopifyApp({
   authPathPrefix: "/auth",
   sessionStorage: new PrismaSessionStorage(prisma),
   distribution: AppDistribution.AppStore,
+  hooks: {
+    afterAuth: async ({ admin, session }) => {
+      const client = createAdminClient(admin, session.shop);
+
+      // A failed registration shouldn't block the merchant from the app; it
+      // is retried on the next install or scopes change.
+      try {
+        await ensureBundleCartTransform(client);
+      } catch (error) {
+        if (!(error instanceof UserErrorsError)) throw error;
+        console.error("Failed to register bundle cart transform:", error.userErrors);
+      }
+
+      // Bundles are only moved once the definition that validates them exists.
+      try {
+        await setUpBundleMetafield(session.shop, client);
+      } catch (error) {
+        if (!(error instanceof UserErrorsError)) throw error;
+        console.error("Failed to set up the bundle metafield:", error.userErrors);
+      }
+    },
+  },
   future: {
     unstable_newEmbeddedAuthStrategy: true,
     removeRest: true,
@@ -33,3 +58,11 @@ export const unauthenticated = shopify.unauthenticated;
 export const login = shopify.login;
 export const registerWebhooks = shopify.registerWebhooks;
 export const sessionStorage = shopify.sessionStorage;
+
+// authenticate.admin plus a client that handles throttling and turns API
+// errors into exceptions. Use `client` rather than `admin.graphql`.
+export async function authenticateAdmin(request) {
+  const context = await authenticate.admin(request);
+
+  return { ...context, client: createAdminClient(context.admin, context.session.shop) };
+}
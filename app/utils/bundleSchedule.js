@@ -0,0 +1,53 @@
+// Bundle scheduling shared by the admin pages and the scheduler. Keep this
+// module free of server-only and browser-only imports.
+
+import { fromWallClock, toWallClock } from "./dates";
+
+// The Shopify product statuses a bundle moves through on its schedule.
+export const BUNDLE_STATUSES = {
+  ACTIVE: "ACTIVE",
+  DRAFT: "DRAFT",
+  ARCHIVED: "ARCHIVED",
+};
+
+// The status a bundle's product should have at `now`: a draft until its start,
+// archived from its end and active in between. Either end may be unset.
+export function getScheduledStatus({ startsAt, endsAt }, now = new Date()) {
+  if (endsAt && new Date(endsAt) <= now) return BUNDLE_STATUSES.ARCHIVED;
+  if (startsAt && new Date(startsAt) > now) return BUNDLE_STATUSES.DRAFT;
+  return BUNDLE_STATUSES.ACTIVE;
+}
+
+// Dates are shown in the shop's locale and time zone, which pages pass in, as
+// the runtime's differ between the server and the browser.
+export function describeSchedule(
+  { startsAt, endsAt },
+  { locale, timeZone } = {},
+  now = new Date(),
+) {
+  const status = getScheduledStatus({ startsAt, endsAt }, now);
+  const format = (date) =>
+    new Date(date).toLocaleString(locale, { dateStyle: "medium", timeStyle: "short", timeZone });
+
+  if (status === BUNDLE_STATUSES.ARCHIVED) return `Ended ${format(endsAt)}`;
+  if (status === BUNDLE_STATUSES.DRAFT) {
+    return endsAt
+      ? `Runs ${format(startsAt)} – ${format(endsAt)}`
+      : `Starts ${format(startsAt)}`;
+  }
+  return endsAt ? `Ends ${format(endsAt)}` : "Always on";
+}
+
+// datetime-local inputs edit a date and time without a time zone, while
+// bundles store ISO timestamps. Inputs are read and written in the shop's time
+// zone, which pages pass in, like describeSchedule shows them. Empty inputs
+// mean no start or end.
+export function toDateTimeInputValue(date, timeZone) {
+  if (!date) return "";
+
+  return new Date(toWallClock(new Date(date), timeZone)).toISOString().slice(0, 16);
+}
+
+export function fromDateTimeInputValue(value, timeZone) {
+  return value ? fromWallClock(value, timeZone).toISOString() : null;
+}
@@ -0,0 +1,34 @@
+// Bundle types shared by the admin pages and the cart transform function.
+// Keep this module free of server-only and browser-only imports.
+import { DISCOUNT_TYPES, DISCOUNT_TYPE_OPTIONS } from "./pricing";
+
+export const BUNDLE_TYPES = {
+  FIXED: "fixed",
+  MIX_AND_MATCH: "mix_and_match",
+};
+
+export const BUNDLE_TYPE_OPTIONS = [
+  { label: "Fixed bundle", value: BUNDLE_TYPES.FIXED },
+  { label: "Mix and match", value: BUNDLE_TYPES.MIX_AND_MATCH },
+];
+
+// What a shopper picks for a mix-and-match bundle is only known at checkout,
+// so its discount can't depend on component prices saved in advance.
+export const MIX_AND_MATCH_DISCOUNT_TYPES = [DISCOUNT_TYPES.PERCENTAGE, DISCOUNT_TYPES.TIERED];
+
+export const MIX_AND_MATCH_DISCOUNT_TYPE_OPTIONS = DISCOUNT_TYPE_OPTIONS.filter(({ value }) =>
+  MIX_AND_MATCH_DISCOUNT_TYPES.includes(value),
+);
+
+// The cart line attribute the storefront sets on a mix-and-match bundle line,
+// holding the comma-separated IDs of the variants the shopper picked, one per
+// item. The leading underscore hides it from the shopper.
+export const BUNDLE_PICKS_ATTRIBUTE = "_bundle_picks";
+
+export const MAX_PICK_COUNT = 20;
+export const MAX_POOL_PRODUCTS = 50;
+
+// The format version of the bundle metafield the app writes. Bump it when the
+// format changes in a way older readers can't handle; readers skip values
+// with a newer version. Values without a version are version 1.
+export const BUNDLE_METAFIELD_VERSION = 2;
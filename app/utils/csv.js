@@ -0,0 +1,69 @@
+// Spreadsheet apps run text starting with one of these as a formula, so
+// such text, like a product title, is written with a leading apostrophe,
+// which they show as text. Numbers are written as they are.
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+// Quotes a CSV field when it contains a delimiter, quote or line break.
+function escapeField(value) {
+  let text = value == null ? "" : String(value);
+  if (typeof value !== "number" && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Drops the apostrophe escapeField put in front of text that would read as a
+// formula, so exported files import as they were.
+function unescapeField(field) {
+  return field.startsWith("'") && FORMULA_PREFIX.test(field.slice(1)) ? field.slice(1) : field;
+}
+
+// Builds RFC 4180 CSV from an array of rows, each an array of fields.
+export function toCsv(rows) {
+  return rows.map((row) => row.map(escapeField).join(",")).join("\r\n") + "\r\n";
+}
+
+// Parses RFC 4180 CSV into an array of rows, each an array of fields. Quoted
+// fields may contain delimiters, doubled quotes and line breaks. A leading
+// byte order mark, as spreadsheet apps write, is ignored, as is the
+// apostrophe toCsv puts in front of text that would read as a formula.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(unescapeField(field));
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(unescapeField(field));
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(unescapeField(field));
+    rows.push(row);
+  }
+
+  return rows;
+}
@@ -0,0 +1,67 @@
+// Converts between instants and the dates and times they read as in a shop's
+// time zone. Shared by the admin pages and the server, so keep this module
+// free of server-only and browser-only imports.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Formatters are slow to create, and analytics converts every sale.
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      }),
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+// The wall-clock date and time of `date` in `timeZone`, as the UTC timestamp
+// with the same reading.
+export function toWallClock(date, timeZone) {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone)
+      .formatToParts(date)
+      .map(({ type, value }) => [type, Number(value)]),
+  );
+
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+// The instant a wall-clock date and time, like 2026-03-08T02:30, reads as in
+// `timeZone`: the value read as UTC, less the zone's offset at that time. The
+// offset is taken again at the result, in case a daylight saving change lies
+// between the two; a time the change skips reads as the same time after it.
+export function fromWallClock(value, timeZone) {
+  const wallClock = Date.parse(`${value.length === 10 ? `${value}T00:00` : value}:00Z`);
+  const offsetAt = (timestamp) => toWallClock(new Date(timestamp), timeZone) - timestamp;
+  const guess = wallClock - offsetAt(wallClock);
+  const timestamp = wallClock - offsetAt(guess);
+
+  return new Date(offsetAt(timestamp) === wallClock - timestamp ? timestamp : guess);
+}
+
+// The calendar date (YYYY-MM-DD) of `date` in `timeZone`.
+export function toZonedDate(date, timeZone) {
+  return new Date(toWallClock(new Date(date), timeZone)).toISOString().slice(0, 10);
+}
+
+// The calendar date `days` after a YYYY-MM-DD date.
+export function addDays(date, days) {
+  return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// The number of days from one YYYY-MM-DD date to another.
+export function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
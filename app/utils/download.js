@@ -0,0 +1,14 @@
+// Downloads a file from one of the app's routes. Embedded pages fetch it
+// rather than link to it so the request carries the session token App Bridge
+// adds to fetch requests.
+export async function downloadFile(url, filename) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Download failed with status ${response.status}`);
+
+  const objectUrl = URL.createObjectURL(await response.blob());
+  const link = document.createElement("a");
+  link.href = objectUrl;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(objectUrl);
+}
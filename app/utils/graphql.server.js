@@ -0,0 +1,159 @@
+// The Admin API rejects `nodes` queries with more than 250 IDs.
+export const MAX_NODES_PER_QUERY = 250;
+
+const MAX_RETRIES = 5;
+const BASE_RETRY_DELAY_MS = 500;
+
+// A request the Admin API answered with top-level `errors`.
+export class GraphQLRequestError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = "GraphQLRequestError";
+    this.errors = errors;
+  }
+}
+
+// A request that was still THROTTLED after every retry.
+export class ThrottledError extends GraphQLRequestError {
+  constructor(errors = []) {
+    super("The Admin API is throttling requests for this shop, try again shortly", errors);
+    this.name = "ThrottledError";
+  }
+}
+
+// A mutation that ran but reported `userErrors`, e.g. failed validation.
+export class UserErrorsError extends Error {
+  constructor(userErrors) {
+    super(userErrors.map(({ message }) => message).join(", "));
+    this.name = "UserErrorsError";
+    this.userErrors = userErrors;
+  }
+}
+
+// The last cost bucket reported for each shop, so every request for a shop
+// can wait out an empty bucket instead of being THROTTLED.
+const throttleStatusByShop = new Map();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function isThrottled(errors) {
+  return errors?.some((error) => error.extensions?.code === "THROTTLED") ?? false;
+}
+
+// How long until the shop's bucket holds enough points for a query costing
+// `cost`, assuming it refills at the last reported rate.
+function waitForPoints(shop, cost) {
+  const status = throttleStatusByShop.get(shop);
+  if (!status || status.restoreRate <= 0) return 0;
+
+  const elapsedSeconds = (Date.now() - status.reportedAt) / 1000;
+  const available = Math.min(
+    status.maximumAvailable,
+    status.currentlyAvailable + elapsedSeconds * status.restoreRate,
+  );
+
+  return available >= cost ? 0 : Math.ceil(((cost - available) / status.restoreRate) * 1000);
+}
+
+// admin.graphql throws on responses with top-level errors. Their body still
+// carries the error codes and the cost extension we need to decide whether to
+// retry, so unwrap it.
+async function send(admin, query, options) {
+  try {
+    const response = await admin.graphql(query, options);
+    return await response.json();
+  } catch (error) {
+    if (error.body) return error.body;
+    if (error.response?.code === 429) {
+      return { errors: [{ message: error.message, extensions: { code: "THROTTLED" } }] };
+    }
+    throw error;
+  }
+}
+
+// Wraps the Admin GraphQL client of an authenticated request. `query` resolves
+// to the response's `data`, retrying THROTTLED responses with backoff and
+// throwing GraphQLRequestError on any other top-level errors. `mutate` also
+// throws UserErrorsError when any mutation in the document reports
+// `userErrors`.
+export function createAdminClient(admin, shop) {
+  async function query(document, options = {}) {
+    for (let attempt = 0; ; attempt++) {
+      // The cost of this query is unknown until it runs, so budget for what
+      // the shop's previous query cost.
+      const wait = waitForPoints(shop, throttleStatusByShop.get(shop)?.requestedQueryCost ?? 0);
+      if (wait > 0) await sleep(wait);
+
+      const body = await send(admin, document, options);
+      const cost = body.extensions?.cost;
+
+      if (cost?.throttleStatus) {
+        throttleStatusByShop.set(shop, {
+          ...cost.throttleStatus,
+          requestedQueryCost: cost.requestedQueryCost ?? 0,
+          reportedAt: Date.now(),
+        });
+      }
+
+      if (isThrottled(body.errors)) {
+        if (attempt >= MAX_RETRIES) throw new ThrottledError(body.errors);
+
+        // Wait until the bucket refills enough for this query, or back off
+        // exponentially when the response didn't report the bucket.
+        await sleep(
+          waitForPoints(shop, cost?.requestedQueryCost ?? 0) || BASE_RETRY_DELAY_MS * 2 ** attempt,
+        );
+        continue;
+      }
+
+      if (body.errors?.length > 0) {
+        throw new GraphQLRequestError(
+          body.errors.map(({ message }) => message).join(", "),
+          body.errors,
+        );
+      }
+
+      return body.data;
+    }
+  }
+
+  async function mutate(document, options = {}) {
+    const data = await query(document, options);
+    const userErrors = Object.values(data ?? {}).flatMap((result) => result?.userErrors ?? []);
+
+    if (userErrors.length > 0) {
+      throw new UserErrorsError(userErrors);
+    }
+
+    return data;
+  }
+
+  return { query, mutate };
+}
+
+export function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// Runs a `nodes(ids: $ids)` query for any number of IDs, splitting them into
+// as few requests as the API allows. Duplicate IDs are fetched once, and
+// `variables` are passed to every request. Returns the found nodes keyed by
+// ID; deleted nodes are left out.
+export async function fetchNodes(client, document, ids, variables = {}) {
+  const uniqueIds = [...new Set(ids)];
+  const nodesById = {};
+
+  for (const idsChunk of chunk(uniqueIds, MAX_NODES_PER_QUERY)) {
+    const data = await client.query(document, { variables: { ...variables, ids: idsChunk } });
+
+    for (const node of data.nodes) {
+      if (node) nodesById[node.id] = node;
+    }
+  }
+
+  return nodesById;
+}
@@ -0,0 +1,223 @@
+// Bundle pricing shared by the admin pages and the cart transform function,
+// so the price a merchant previews is the price charged at checkout. Keep
+// this module free of server-only and browser-only imports.
+
+export const DISCOUNT_TYPES = {
+  PERCENTAGE: "percentage",
+  FIXED_AMOUNT: "fixed_amount",
+  FIXED_PRICE: "fixed_price",
+  TIERED: "tiered",
+};
+
+export const DISCOUNT_TYPE_OPTIONS = [
+  { label: "Percentage off", value: DISCOUNT_TYPES.PERCENTAGE },
+  { label: "Fixed amount off", value: DISCOUNT_TYPES.FIXED_AMOUNT },
+  { label: "Fixed bundle price", value: DISCOUNT_TYPES.FIXED_PRICE },
+  { label: "Quantity tiers", value: DISCOUNT_TYPES.TIERED },
+];
+
+// Charm pricing rules for discounted bundle prices.
+export const PRICE_ROUNDING = {
+  NONE: "none",
+  END_99: "end_99",
+  END_95: "end_95",
+  END_00: "end_00",
+  NEAREST_5: "nearest_5",
+};
+
+export const PRICE_ROUNDING_OPTIONS = [
+  { label: "Don't round", value: PRICE_ROUNDING.NONE },
+  { label: "Round to .99", value: PRICE_ROUNDING.END_99 },
+  { label: "Round to .95", value: PRICE_ROUNDING.END_95 },
+  { label: "Round to .00", value: PRICE_ROUNDING.END_00 },
+  { label: "Round to the nearest 5", value: PRICE_ROUNDING.NEAREST_5 },
+];
+
+// Each rule rounds to the nearest multiple of `step` plus `ending`.
+const ROUNDING_STEPS = {
+  [PRICE_ROUNDING.END_99]: { step: 1, ending: 0.99 },
+  [PRICE_ROUNDING.END_95]: { step: 1, ending: 0.95 },
+  [PRICE_ROUNDING.END_00]: { step: 1, ending: 0 },
+  [PRICE_ROUNDING.NEAREST_5]: { step: 5, ending: 0 },
+};
+
+export function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Rounds a price to the nearest one the rule allows, e.g. 87.37 to 86.99 for
+// .99 endings. A price that would round above `max` takes the allowed price
+// below it instead, and one that would round to nothing is left as it is.
+export function roundPrice(price, rounding, max = Infinity) {
+  const rule = ROUNDING_STEPS[rounding];
+  if (!rule || price <= 0) return price;
+
+  const { step, ending } = rule;
+  let rounded = Math.round((price - ending) / step) * step + ending;
+  if (rounded > max) rounded -= step;
+
+  return rounded > 0 ? roundMoney(rounded) : price;
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+// Bundles created before discount types existed store a bare percentage.
+// `rounding` is a PRICE_ROUNDING rule; `neverBelowCost` asks for prices below
+// the products' cost to be refused when the bundle is saved.
+export function normalizeDiscount(discount) {
+  if (typeof discount === "number" || typeof discount === "string") {
+    return {
+      type: DISCOUNT_TYPES.PERCENTAGE,
+      value: clamp(parseFloat(discount) || 0, 0, 100),
+      tiers: [],
+      rounding: PRICE_ROUNDING.NONE,
+      neverBelowCost: false,
+    };
+  }
+
+  const type = Object.values(DISCOUNT_TYPES).includes(discount?.type)
+    ? discount.type
+    : DISCOUNT_TYPES.PERCENTAGE;
+  const value = Math.max(parseFloat(discount?.value) || 0, 0);
+
+  return {
+    type,
+    value: type === DISCOUNT_TYPES.PERCENTAGE ? Math.min(value, 100) : value,
+    tiers:
+      type === DISCOUNT_TYPES.TIERED
+        ? (discount.tiers ?? [])
+            .map((tier) => ({
+              minQuantity: Math.max(parseInt(tier.minQuantity) || 1, 1),
+              percentage: clamp(parseFloat(tier.percentage) || 0, 0, 100),
+            }))
+            .sort((a, b) => a.minQuantity - b.minQuantity)
+        : [],
+    rounding: Object.values(PRICE_ROUNDING).includes(discount?.rounding)
+      ? discount.rounding
+      : PRICE_ROUNDING.NONE,
+    neverBelowCost: discount?.neverBelowCost === true,
+  };
+}
+
+export function getSubtotal(components) {
+  return roundMoney(
+    components.reduce((sum, component) => sum + component.price * component.quantity, 0),
+  );
+}
+
+// The percentage of the highest tier reached by `quantity` bundles.
+export function getTierPercentage(tiers, quantity) {
+  let percentage = 0;
+  for (const tier of tiers) {
+    if (quantity >= tier.minQuantity) percentage = tier.percentage;
+  }
+  return percentage;
+}
+
+// Prices a single bundle when `quantity` of them are bought together. The
+// bundle never costs more than its components or less than nothing. Discounted
+// prices are rounded by the discount's rule; a fixed bundle price is used as
+// the merchant entered it.
+export function calculateBundlePrice(components, discount, quantity = 1) {
+  const subtotal = getSubtotal(components);
+  const { type, value, tiers, rounding } = normalizeDiscount(discount);
+
+  let total;
+  switch (type) {
+    case DISCOUNT_TYPES.FIXED_AMOUNT:
+      total = subtotal - value;
+      break;
+    case DISCOUNT_TYPES.FIXED_PRICE:
+      total = value;
+      break;
+    case DISCOUNT_TYPES.TIERED:
+      total = subtotal * (1 - getTierPercentage(tiers, quantity) / 100);
+      break;
+    default:
+      total = subtotal * (1 - value / 100);
+  }
+  if (type !== DISCOUNT_TYPES.FIXED_PRICE) {
+    total = roundPrice(total, rounding, subtotal);
+  }
+  total = roundMoney(clamp(total, 0, subtotal));
+
+  return {
+    subtotal,
+    total,
+    savings: roundMoney(subtotal - total),
+    savingsPercentage: subtotal > 0 ? ((subtotal - total) / subtotal) * 100 : 0,
+  };
+}
+
+// Splits a bundle total across its components in proportion to their price,
+// returning the unit price of each component. Prices are worked out in cents
+// and the cents lost to rounding go to the components bought singly, so the
+// unit prices times their quantities add up to the total exactly. Only when
+// every component is bought several at a time can a cent or two be left
+// over, as per-unit prices can't split it.
+export function allocateBundlePrice(components, total) {
+  const subtotal = getSubtotal(components);
+  const ratio = subtotal > 0 ? total / subtotal : 0;
+  const unitCents = components.map((component) => Math.round(component.price * ratio * 100));
+
+  let remainder =
+    Math.round(total * 100) -
+    unitCents.reduce((sum, cents, index) => sum + cents * components[index].quantity, 0);
+  // The fewer items a component has, the finer it can be adjusted; of those,
+  // the priciest changes least in proportion.
+  const order = components
+    .map((component, index) => index)
+    .sort(
+      (a, b) =>
+        components[a].quantity - components[b].quantity ||
+        components[b].price - components[a].price,
+    );
+  for (const index of order) {
+    const step = Math.trunc(remainder / components[index].quantity);
+    unitCents[index] = Math.max(unitCents[index] + step, 0);
+    remainder -= step * components[index].quantity;
+  }
+
+  return unitCents.map((cents) => cents / 100);
+}
+
+// Formats an amount with the symbol and number of decimals of its currency,
+// e.g. 12,50 € or ¥1,250. Pages pass the shop's locale, as the runtime's
+// differs between the server and the browser. Amounts without a known
+// currency are shown as plain numbers.
+export function formatMoney(amount, currencyCode, locale) {
+  if (!currencyCode) return amount.toFixed(2);
+
+  return new Intl.NumberFormat(locale, { style: "currency", currency: currencyCode }).format(
+    amount,
+  );
+}
+
+export function getCurrencySymbol(currencyCode, locale) {
+  if (!currencyCode) return "";
+
+  return (
+    new Intl.NumberFormat(locale, { style: "currency", currency: currencyCode })
+      .formatToParts(0)
+      .find(({ type }) => type === "currency")?.value ?? currencyCode
+  );
+}
+
+export function formatDiscount(discount, currencyCode, locale) {
+  const { type, value, tiers } = normalizeDiscount(discount);
+
+  switch (type) {
+    case DISCOUNT_TYPES.FIXED_AMOUNT:
+      return `${formatMoney(value, currencyCode, locale)} off`;
+    case DISCOUNT_TYPES.FIXED_PRICE:
+      return `Fixed price ${formatMoney(value, currencyCode, locale)}`;
+    case DISCOUNT_TYPES.TIERED:
+      return tiers.length > 0
+        ? tiers.map((tier) => `Buy ${tier.minQuantity}+: ${tier.percentage}% off`).join(", ")
+        : "No tiers";
+    default:
+      return `${value}% off`;
+  }
+}
@@ -0,0 +1,313 @@
+// @ts-check
+import {
+  DISCOUNT_TYPES,
+  allocateBundlePrice,
+  calculateBundlePrice,
+  getSubtotal,
+  getTierPercentage,
+  normalizeDiscount,
+} from "../../../app/utils/pricing";
+import { BUNDLE_METAFIELD_VERSION, BUNDLE_TYPES } from "../../../app/utils/bundleTypes";
+
+/**
+ * @typedef {import("../generated/api").RunInput} RunInput
+ * @typedef {import("../generated/api").FunctionRunResult} FunctionRunResult
+ * @typedef {import("../generated/api").CartOperation} CartOperation
+ */
+
+/**
+ * @type {FunctionRunResult}
+ */
+const NO_CHANGES = {
+  operations: [],
+};
+
+/**
+ * @typedef {{
+ *   type: "fixed",
+ *   components: { variantId: string, quantity: number, price?: number }[],
+ *   discount: ReturnType<typeof normalizeDiscount>,
+ * }} FixedBundleDefinition
+ * @typedef {{
+ *   type: "mix_and_match",
+ *   pickCount: number,
+ *   variantIds: Set<string>,
+ *   prices: Map<string, number> | null,
+ *   discount: ReturnType<typeof normalizeDiscount>,
+ * }} MixAndMatchBundleDefinition
+ */
+
+/**
+ * Reads the bundle definition the app writes to the bundle product's
+ * app-owned metafield, or to `custom.bundle_products` before that. Values in
+ * a newer format than this function knows are ignored.
+ *
+ * @param {string | undefined} value
+ * @returns {FixedBundleDefinition | MixAndMatchBundleDefinition | null}
+ */
+export function parseBundleDefinition(value) {
+  if (!value) return null;
+
+  try {
+    const parsed = JSON.parse(value);
+    if (parsed.version > BUNDLE_METAFIELD_VERSION) return null;
+
+    if (parsed.type === BUNDLE_TYPES.MIX_AND_MATCH) {
+      const pickCount = parseInt(parsed.pickCount);
+      if (!pickCount || !Array.isArray(parsed.pool)) return null;
+
+      const variantIds = parsed.pool.flatMap((product) => product.variantIds ?? []);
+      // Pools saved before prices were stored have none.
+      const hasPrices = parsed.pool.every(
+        (product) => product.prices?.length === (product.variantIds ?? []).length,
+      );
+
+      return {
+        type: BUNDLE_TYPES.MIX_AND_MATCH,
+        pickCount,
+        variantIds: new Set(variantIds),
+        prices: hasPrices
+          ? new Map(
+              parsed.pool.flatMap((product) =>
+                product.variantIds.map((variantId, index) => [
+                  variantId,
+                  parseFloat(product.prices[index]),
+                ]),
+              ),
+            )
+          : null,
+        discount: normalizeDiscount(parsed.discount),
+      };
+    }
+
+    // Bundles saved before components carried a variant can't be expanded.
+    if (!Array.isArray(parsed.components)) return null;
+
+    const components = parsed.components
+      .filter((component) => component.variantId)
+      .map((component) => ({
+        variantId: component.variantId,
+        quantity: Math.max(parseInt(component.quantity) || 1, 1),
+        price: component.price !== undefined ? parseFloat(component.price) : undefined,
+      }));
+    if (components.length === 0) return null;
+
+    return {
+      type: BUNDLE_TYPES.FIXED,
+      components,
+      discount: normalizeDiscount(parsed.discount),
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The percentage off a bundle line when component prices are unknown. Fixed
+ * discounts can't be expressed without them.
+ *
+ * @param {ReturnType<typeof normalizeDiscount>} discount
+ * @param {number} quantity
+ * @returns {number}
+ */
+function percentageWithoutPrices(discount, quantity) {
+  switch (discount.type) {
+    case DISCOUNT_TYPES.PERCENTAGE:
+      return discount.value;
+    case DISCOUNT_TYPES.TIERED:
+      return getTierPercentage(discount.tiers, quantity);
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Reads the variants a shopper picked for a mix-and-match bundle line. The
+ * storefront writes them as comma-separated numeric IDs or GIDs, one per item.
+ *
+ * @param {string | undefined} value
+ * @returns {string[]}
+ */
+export function parseBundlePicks(value) {
+  if (!value) return [];
+
+  return value
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean)
+    .map((id) => (id.startsWith("gid://") ? id : `gid://shopify/ProductVariant/${id}`));
+}
+
+/**
+ * Splits a bundle total in the shop's currency across its components, at unit
+ * prices in the cart's currency that add up to the converted total. Converting
+ * each unit price after splitting would round them apart again.
+ *
+ * @param {{ price: number, quantity: number }[]} components
+ * @param {number} total
+ * @param {number} rate
+ * @returns {number[]}
+ */
+function allocateConvertedPrice(components, total, rate) {
+  return allocateBundlePrice(
+    components.map((component) => ({ ...component, price: component.price * rate })),
+    total * rate,
+  );
+}
+
+/**
+ * Expands a mix-and-match bundle line into the variants the shopper picked,
+ * each charged at its price saved in the pool, converted to the cart
+ * currency. The discount only applies when exactly `pickCount` eligible items
+ * were picked; otherwise the eligible picks are sold at their regular price
+ * and ineligible ones are dropped, so a tampered line never earns a discount.
+ * Pools saved without prices leave the bundle line's own price for Shopify to
+ * allocate, less any discount.
+ *
+ * @param {RunInput["cart"]["lines"][number]} line
+ * @param {string} title
+ * @param {MixAndMatchBundleDefinition} definition
+ * @param {number} rate
+ * @returns {CartOperation | null}
+ */
+function expandMixAndMatch(line, title, { pickCount, variantIds, prices, discount }, rate) {
+  const picks = parseBundlePicks(line.bundlePicks?.value);
+  const eligiblePicks = picks.filter((variantId) => variantIds.has(variantId));
+  if (eligiblePicks.length === 0) return null;
+
+  /** @type {Map<string, number>} */
+  const quantities = new Map();
+  for (const variantId of eligiblePicks) {
+    quantities.set(variantId, (quantities.get(variantId) ?? 0) + 1);
+  }
+
+  const isComplete = eligiblePicks.length === picks.length && picks.length === pickCount;
+
+  if (prices) {
+    const components = [...quantities].map(([variantId, quantity]) => ({
+      variantId,
+      quantity,
+      price: prices.get(variantId) ?? 0,
+    }));
+    const unitPrices = allocateConvertedPrice(
+      components,
+      isComplete
+        ? calculateBundlePrice(components, discount, line.quantity).total
+        : getSubtotal(components),
+      rate,
+    );
+
+    return {
+      expand: {
+        cartLineId: line.id,
+        title,
+        expandedCartItems: components.map(({ variantId, quantity }, index) => ({
+          merchandiseId: variantId,
+          quantity,
+          price: {
+            adjustment: {
+              fixedPricePerUnit: {
+                amount: unitPrices[index].toFixed(2),
+              },
+            },
+          },
+        })),
+      },
+    };
+  }
+
+  const percentage = isComplete ? percentageWithoutPrices(discount, line.quantity) : 0;
+
+  return {
+    expand: {
+      cartLineId: line.id,
+      title,
+      expandedCartItems: [...quantities].map(([merchandiseId, quantity]) => ({
+        merchandiseId,
+        quantity,
+      })),
+      ...(percentage > 0 && {
+        price: { percentageDecrease: { value: percentage } },
+      }),
+    },
+  };
+}
+
+/**
+ * Expands every bundle line into its component variants. When the definition
+ * stores component prices, the bundle price for the line's quantity is
+ * allocated across the components and converted to the cart currency.
+ * Otherwise the bundle line's own price is left for Shopify to allocate and
+ * any percentage discount is applied as a percentage decrease. Mix-and-match
+ * lines expand into the variants the shopper picked, priced the same way.
+ *
+ * @param {RunInput} input
+ * @returns {FunctionRunResult}
+ */
+export function run(input) {
+  const rate = parseFloat(input.presentmentCurrencyRate) || 1;
+
+  /** @type {CartOperation[]} */
+  const operations = input.cart.lines.reduce(
+    /** @param {CartOperation[]} acc */
+    (acc, line) => {
+      if (line.merchandise.__typename !== "ProductVariant") return acc;
+
+      const { bundleDefinition, legacyBundleDefinition } = line.merchandise.product;
+      const definition = parseBundleDefinition(
+        (bundleDefinition ?? legacyBundleDefinition)?.value,
+      );
+      if (!definition) return acc;
+
+      if (definition.type === BUNDLE_TYPES.MIX_AND_MATCH) {
+        const operation = expandMixAndMatch(
+          line,
+          line.merchandise.product.title,
+          definition,
+          rate,
+        );
+        if (operation) acc.push(operation);
+        return acc;
+      }
+
+      const { components, discount } = definition;
+      const hasPrices = components.every(({ price }) => price !== undefined);
+      const unitPrices = hasPrices
+        ? allocateConvertedPrice(
+            components,
+            calculateBundlePrice(components, discount, line.quantity).total,
+            rate,
+          )
+        : [];
+      const percentage = hasPrices ? 0 : percentageWithoutPrices(discount, line.quantity);
+
+      acc.push({
+        expand: {
+          cartLineId: line.id,
+          title: line.merchandise.product.title,
+          expandedCartItems: components.map(({ variantId, quantity }, index) => ({
+            merchandiseId: variantId,
+            quantity,
+            ...(hasPrices && {
+              price: {
+                adjustment: {
+                  fixedPricePerUnit: {
+                    amount: unitPrices[index].toFixed(2),
+                  },
+                },
+              },
+            }),
+          })),
+          ...(percentage > 0 && {
+            price: { percentageDecrease: { value: percentage } },
+          }),
+        },
+      });
+
+      return acc;
+    },
+    [],
+  );
+
+  return operations.length ? { operations } : NO_CHANGES;
+}
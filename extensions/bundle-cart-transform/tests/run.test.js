@@ -0,0 +1,18 @@
+import { readdirSync, readFileSync } from "fs";
+import { join } from "path";
+import { describe, it, expect } from "vitest";
+import { run } from "../src/run";
+
+const fixturesDir = join(__dirname, "fixtures");
+const fixtures = readdirSync(fixturesDir)
+  .filter((file) => file.endsWith(".json"))
+  .map((file) => ({
+    file,
+    ...JSON.parse(readFileSync(join(fixturesDir, file), "utf8")),
+  }));
+
+describe("cart transform function", () => {
+  it.each(fixtures)("$file: $description", ({ input, expected }) => {
+    expect(run(input)).toEqual(expected);
+  });
+});
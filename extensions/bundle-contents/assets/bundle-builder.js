@@ -0,0 +1,104 @@
+// Mix-and-match bundle picker rendered by snippets/bundle-builder.liquid.
+// Adds the bundle product to the cart with the picked variant IDs in the
+// hidden `_bundle_picks` property, which the cart transform function reads.
+class BundleBuilder extends HTMLElement {
+  connectedCallback() {
+    this.pickCount = parseInt(this.dataset.pickCount, 10) || 0;
+    this.picks = new Map();
+    this.titles = new Map();
+    this.submitButton = this.querySelector("[data-submit]");
+    this.statusElement = this.querySelector("[data-status]");
+    this.errorElement = this.querySelector("[data-error]");
+
+    this.addEventListener("click", (event) => {
+      const step = event.target.closest("[data-step]");
+      if (step) this.step(step);
+    });
+    this.submitButton.addEventListener("click", () => this.addToCart());
+  }
+
+  // Translated strings are rendered into <template> elements by Liquid.
+  translation(name) {
+    return this.querySelector(`[data-${name}]`).content.textContent;
+  }
+
+  get selectedCount() {
+    let count = 0;
+    for (const quantity of this.picks.values()) count += quantity;
+    return count;
+  }
+
+  step(button) {
+    const { variantId, title } = button.dataset;
+    const change = parseInt(button.dataset.step, 10);
+    const quantity = (this.picks.get(variantId) ?? 0) + change;
+
+    if (quantity < 0 || (change > 0 && this.selectedCount >= this.pickCount)) return;
+
+    if (title) this.titles.set(variantId, title);
+    if (quantity === 0) {
+      this.picks.delete(variantId);
+    } else {
+      this.picks.set(variantId, quantity);
+    }
+    this.render();
+  }
+
+  render() {
+    for (const element of this.querySelectorAll("[data-count-for]")) {
+      element.textContent = this.picks.get(element.dataset.countFor) ?? 0;
+    }
+
+    this.statusElement.textContent = this.translation("status-template").replace(
+      "[selected]",
+      this.selectedCount,
+    );
+    this.submitButton.disabled =
+      this.selectedCount !== this.pickCount || this.submitButton.hasAttribute("data-sold-out");
+    this.errorElement.hidden = true;
+  }
+
+  async addToCart() {
+    const ids = [];
+    const contents = [];
+    for (const [variantId, quantity] of this.picks) {
+      for (let i = 0; i < quantity; i++) ids.push(variantId);
+      contents.push(quantity > 1 ? `${quantity} × ${this.titles.get(variantId)}` : this.titles.get(variantId));
+    }
+
+    this.submitButton.disabled = true;
+    try {
+      const response = await fetch(`${this.dataset.cartAddUrl}.js`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Accept: "application/json" },
+        body: JSON.stringify({
+          items: [
+            {
+              id: this.dataset.bundleVariantId,
+              quantity: 1,
+              properties: {
+                _bundle_picks: ids.join(","),
+                [this.translation("contents-label")]: contents.join(", "),
+              },
+            },
+          ],
+        }),
+      });
+      if (!response.ok) {
+        const { description } = await response.json();
+        throw new Error(description);
+      }
+
+      window.location.href = this.dataset.cartUrl;
+    } catch (error) {
+      this.errorElement.textContent =
+        error.message || this.translation("error-template");
+      this.errorElement.hidden = false;
+      this.submitButton.disabled = false;
+    }
+  }
+}
+
+if (!customElements.get("bundle-builder")) {
+  customElements.define("bundle-builder", BundleBuilder);
+}
@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "Bundle" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "discount" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "BundleComponent" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "bundleId" INTEGER NOT NULL,
+    "productId" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "price" REAL NOT NULL DEFAULT 0,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    CONSTRAINT "BundleComponent_bundleId_fkey" FOREIGN KEY ("bundleId") REFERENCES "Bundle" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "Bundle_shop_idx" ON "Bundle"("shop");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Bundle_shop_productId_key" ON "Bundle"("shop", "productId");
+
+-- CreateIndex
+CREATE INDEX "BundleComponent_bundleId_idx" ON "BundleComponent"("bundleId");
+
+-- CreateIndex
+CREATE INDEX "BundleComponent_productId_idx" ON "BundleComponent"("productId");
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "BundleComponent" ADD COLUMN "variantId" TEXT;
+ALTER TABLE "BundleComponent" ADD COLUMN "variantTitle" TEXT;
+ALTER TABLE "BundleComponent" ADD COLUMN "quantity" INTEGER NOT NULL DEFAULT 1;
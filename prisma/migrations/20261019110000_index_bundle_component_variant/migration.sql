@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "BundleComponent_variantId_idx" ON "BundleComponent"("variantId");
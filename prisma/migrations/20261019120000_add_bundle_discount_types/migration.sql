@@ -0,0 +1,22 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Bundle" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "discountType" TEXT NOT NULL DEFAULT 'percentage',
+    "discountValue" REAL NOT NULL DEFAULT 0,
+    "discountTiers" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+INSERT INTO "new_Bundle" ("createdAt", "description", "discountValue", "id", "productId", "shop", "title", "updatedAt") SELECT "createdAt", "description", "discount", "id", "productId", "shop", "title", "updatedAt" FROM "Bundle";
+DROP TABLE "Bundle";
+ALTER TABLE "new_Bundle" RENAME TO "Bundle";
+CREATE INDEX "Bundle_shop_idx" ON "Bundle"("shop");
+CREATE UNIQUE INDEX "Bundle_shop_productId_key" ON "Bundle"("shop", "productId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
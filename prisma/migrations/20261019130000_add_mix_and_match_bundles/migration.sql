@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "Bundle" ADD COLUMN "type" TEXT NOT NULL DEFAULT 'fixed';
+ALTER TABLE "Bundle" ADD COLUMN "pickCount" INTEGER;
+ALTER TABLE "Bundle" ADD COLUMN "collectionId" TEXT;
@@ -0,0 +1,52 @@
+-- CreateTable
+CREATE TABLE "BundleSale" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "bundleId" INTEGER,
+    "productId" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "orderName" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "revenue" REAL NOT NULL,
+    "discount" REAL NOT NULL,
+    "currency" TEXT NOT NULL,
+    "paidAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "BundleSale_bundleId_fkey" FOREIGN KEY ("bundleId") REFERENCES "Bundle" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "BundleSaleComponent" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "saleId" INTEGER NOT NULL,
+    "productId" TEXT,
+    "variantId" TEXT,
+    "title" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "price" REAL NOT NULL,
+    CONSTRAINT "BundleSaleComponent_saleId_fkey" FOREIGN KEY ("saleId") REFERENCES "BundleSale" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "WebhookEvent" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "topic" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "BundleSale_shop_bundleId_idx" ON "BundleSale"("shop", "bundleId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BundleSale_shop_orderId_productId_key" ON "BundleSale"("shop", "orderId", "productId");
+
+-- CreateIndex
+CREATE INDEX "BundleSaleComponent_saleId_idx" ON "BundleSaleComponent"("saleId");
+
+-- CreateIndex
+CREATE INDEX "BundleSaleComponent_variantId_idx" ON "BundleSaleComponent"("variantId");
+
+-- CreateIndex
+CREATE INDEX "WebhookEvent_shop_idx" ON "WebhookEvent"("shop");
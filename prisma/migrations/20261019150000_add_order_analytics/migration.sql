@@ -0,0 +1,46 @@
+-- CreateTable
+CREATE TABLE "ShopOrder" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "totalPrice" REAL NOT NULL,
+    "currency" TEXT NOT NULL,
+    "processedAt" DATETIME NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_BundleSale" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "bundleId" INTEGER,
+    "productId" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "orderName" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "revenue" REAL NOT NULL,
+    "discount" REAL NOT NULL,
+    "currency" TEXT NOT NULL,
+    "orderedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "paidAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "BundleSale_bundleId_fkey" FOREIGN KEY ("bundleId") REFERENCES "Bundle" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_BundleSale" ("bundleId", "createdAt", "currency", "discount", "id", "orderId", "orderName", "orderedAt", "paidAt", "productId", "quantity", "revenue", "shop", "updatedAt") SELECT "bundleId", "createdAt", "currency", "discount", "id", "orderId", "orderName", "createdAt", "paidAt", "productId", "quantity", "revenue", "shop", "updatedAt" FROM "BundleSale";
+DROP TABLE "BundleSale";
+ALTER TABLE "new_BundleSale" RENAME TO "BundleSale";
+CREATE INDEX "BundleSale_shop_bundleId_idx" ON "BundleSale"("shop", "bundleId");
+CREATE INDEX "BundleSale_shop_orderedAt_idx" ON "BundleSale"("shop", "orderedAt");
+CREATE UNIQUE INDEX "BundleSale_shop_orderId_productId_key" ON "BundleSale"("shop", "orderId", "productId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE INDEX "ShopOrder_shop_processedAt_idx" ON "ShopOrder"("shop", "processedAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ShopOrder_shop_orderId_key" ON "ShopOrder"("shop", "orderId");
@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "Bundle" ADD COLUMN "status" TEXT NOT NULL DEFAULT 'ACTIVE';
+ALTER TABLE "Bundle" ADD COLUMN "startsAt" DATETIME;
+ALTER TABLE "Bundle" ADD COLUMN "endsAt" DATETIME;
+
+-- CreateIndex
+CREATE INDEX "Bundle_status_startsAt_idx" ON "Bundle"("status", "startsAt");
+
+-- CreateIndex
+CREATE INDEX "Bundle_status_endsAt_idx" ON "Bundle"("status", "endsAt");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Bundle" ADD COLUMN "publishedAt" DATETIME;
+
+-- Bundles were published as soon as they were created until now.
+UPDATE "Bundle" SET "publishedAt" = "createdAt";
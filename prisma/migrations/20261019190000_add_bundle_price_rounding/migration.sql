@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Bundle" ADD COLUMN "priceRounding" TEXT NOT NULL DEFAULT 'none';
+ALTER TABLE "Bundle" ADD COLUMN "neverBelowCost" BOOLEAN NOT NULL DEFAULT false;
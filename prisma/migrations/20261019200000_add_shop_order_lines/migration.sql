@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "ShopOrderLine" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "orderId" INTEGER NOT NULL,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT,
+    "quantity" INTEGER NOT NULL,
+    CONSTRAINT "ShopOrderLine_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "ShopOrder" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "ShopOrderLine_orderId_idx" ON "ShopOrderLine"("orderId");
+
+-- CreateIndex
+CREATE INDEX "ShopOrderLine_productId_idx" ON "ShopOrderLine"("productId");
@@ -0,0 +1,34 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Bundle" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "type" TEXT NOT NULL DEFAULT 'fixed',
+    "pickCount" INTEGER,
+    "collectionId" TEXT,
+    "discountType" TEXT NOT NULL DEFAULT 'percentage',
+    "discountValue" REAL NOT NULL DEFAULT 0,
+    "discountTiers" TEXT,
+    "priceRounding" TEXT NOT NULL DEFAULT 'none',
+    "neverBelowCost" BOOLEAN NOT NULL DEFAULT false,
+    "status" TEXT NOT NULL DEFAULT 'DRAFT',
+    "publishedAt" DATETIME,
+    "startsAt" DATETIME,
+    "endsAt" DATETIME,
+    "attentionReason" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+INSERT INTO "new_Bundle" ("attentionReason", "collectionId", "createdAt", "description", "discountTiers", "discountType", "discountValue", "endsAt", "id", "neverBelowCost", "pickCount", "priceRounding", "productId", "publishedAt", "shop", "startsAt", "status", "title", "type", "updatedAt") SELECT "attentionReason", "collectionId", "createdAt", "description", "discountTiers", "discountType", "discountValue", "endsAt", "id", "neverBelowCost", "pickCount", "priceRounding", "productId", "publishedAt", "shop", "startsAt", "status", "title", "type", "updatedAt" FROM "Bundle";
+DROP TABLE "Bundle";
+ALTER TABLE "new_Bundle" RENAME TO "Bundle";
+CREATE INDEX "Bundle_shop_idx" ON "Bundle"("shop");
+CREATE INDEX "Bundle_status_startsAt_idx" ON "Bundle"("status", "startsAt");
+CREATE INDEX "Bundle_status_endsAt_idx" ON "Bundle"("status", "endsAt");
+CREATE UNIQUE INDEX "Bundle_shop_productId_key" ON "Bundle"("shop", "productId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "CustomerDataRequest" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "requestId" TEXT NOT NULL,
+    "customerId" TEXT,
+    "orderIds" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "CustomerDataRequest_shop_idx" ON "CustomerDataRequest"("shop");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CustomerDataRequest_shop_requestId_key" ON "CustomerDataRequest"("shop", "requestId");
@@ -0,0 +1,7 @@
+-- CreateTable
+CREATE TABLE "ShopSetup" (
+    "shop" TEXT NOT NULL PRIMARY KEY,
+    "bundleMetafieldSchema" TEXT,
+    "legacyMetafieldsMigratedAt" DATETIME,
+    "updatedAt" DATETIME NOT NULL
+);
@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "OrderImport" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "bulkOperationId" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "importedCount" INTEGER,
+    "error" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "OrderImport_status_idx" ON "OrderImport"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OrderImport_shop_bulkOperationId_key" ON "OrderImport"("shop", "bulkOperationId");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ShopSetup" ADD COLUMN "legacyMetafieldsMigrationStartedAt" DATETIME;
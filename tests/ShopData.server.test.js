@@ -0,0 +1,166 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+import { createTestDb, migrate } from "./db";
+import { redactCustomerOrders, redactShop } from "../app/models/ShopData.server";
+
+vi.mock("../app/db.server", async () => {
+  const { createTestDb } = await import("./db");
+  return { default: createTestDb() };
+});
+
+const SHOP = "redacted.myshopify.com";
+const OTHER_SHOP = "kept.myshopify.com";
+
+let db;
+
+// Everything the app can store for a shop: a session, a bundle with a
+// component, an order with a line, an order history import, a bundle sale
+// with a component, a handled webhook, a customer data request and the shop's
+// setup. Orders 1 and 2 belong to customer 7.
+async function seedShop(shop) {
+  await db.session.create({
+    data: { id: `offline_${shop}`, shop, state: "state", accessToken: "token" },
+  });
+  const bundle = await db.bundle.create({
+    data: {
+      shop,
+      productId: "gid://shopify/Product/100",
+      title: "Bundle",
+      components: {
+        create: { productId: "gid://shopify/Product/1", title: "Socks", price: 10 },
+      },
+    },
+  });
+  for (const orderNumber of [1, 2, 3]) {
+    const orderId = `gid://shopify/Order/${orderNumber}`;
+    await db.shopOrder.create({
+      data: {
+        shop,
+        orderId,
+        name: `#${orderNumber}`,
+        totalPrice: 20,
+        currency: "USD",
+        processedAt: new Date(),
+        lines: { create: { productId: "gid://shopify/Product/100", quantity: 1 } },
+      },
+    });
+    await db.bundleSale.create({
+      data: {
+        shop,
+        bundleId: bundle.id,
+        productId: bundle.productId,
+        orderId,
+        orderName: `#${orderNumber}`,
+        quantity: 1,
+        revenue: 20,
+        discount: 2,
+        currency: "USD",
+        components: {
+          create: { productId: "gid://shopify/Product/1", title: "Socks", quantity: 1, price: 10 },
+        },
+      },
+    });
+  }
+  await db.orderImport.create({ data: { shop, bulkOperationId: "gid://shopify/BulkOperation/1" } });
+  await db.webhookEvent.create({ data: { id: `${shop}-webhook`, shop, topic: "orders/create" } });
+  await db.customerDataRequest.create({
+    data: { shop, requestId: "9", customerId: "7", orderIds: JSON.stringify([1, 2]) },
+  });
+  await db.shopSetup.create({ data: { shop, legacyMetafieldsMigratedAt: new Date() } });
+}
+
+// The rows of every table that belong to the shop, through their parent row
+// for tables without a shop column.
+async function countRows(shop) {
+  return {
+    sessions: await db.session.count({ where: { shop } }),
+    bundles: await db.bundle.count({ where: { shop } }),
+    bundleComponents: await db.bundleComponent.count({ where: { bundle: { shop } } }),
+    orders: await db.shopOrder.count({ where: { shop } }),
+    orderLines: await db.shopOrderLine.count({ where: { order: { shop } } }),
+    orderImports: await db.orderImport.count({ where: { shop } }),
+    bundleSales: await db.bundleSale.count({ where: { shop } }),
+    bundleSaleComponents: await db.bundleSaleComponent.count({ where: { sale: { shop } } }),
+    webhookEvents: await db.webhookEvent.count({ where: { shop } }),
+    dataRequests: await db.customerDataRequest.count({ where: { shop } }),
+    setup: await db.shopSetup.count({ where: { shop } }),
+  };
+}
+
+beforeAll(async () => {
+  db = createTestDb();
+  await migrate(db);
+});
+
+afterAll(async () => {
+  await db.$disconnect();
+});
+
+beforeEach(async () => {
+  for (const shop of [SHOP, OTHER_SHOP]) {
+    await redactShop(shop);
+    await seedShop(shop);
+  }
+});
+
+describe("redactShop", () => {
+  it("leaves no rows for the shop in any table", async () => {
+    await redactShop(SHOP);
+
+    expect(await countRows(SHOP)).toEqual({
+      sessions: 0,
+      bundles: 0,
+      bundleComponents: 0,
+      orders: 0,
+      orderLines: 0,
+      orderImports: 0,
+      bundleSales: 0,
+      bundleSaleComponents: 0,
+      webhookEvents: 0,
+      dataRequests: 0,
+      setup: 0,
+    });
+  });
+
+  it("keeps other shops' rows", async () => {
+    const before = await countRows(OTHER_SHOP);
+
+    await redactShop(SHOP);
+
+    expect(await countRows(OTHER_SHOP)).toEqual(before);
+  });
+});
+
+describe("redactCustomerOrders", () => {
+  it("leaves nothing of the customer's orders or data requests", async () => {
+    const orderIds = ["gid://shopify/Order/1", "gid://shopify/Order/2"];
+
+    await redactCustomerOrders(SHOP, [1, 2], 7);
+
+    expect(await db.shopOrder.count({ where: { shop: SHOP, orderId: { in: orderIds } } })).toBe(0);
+    expect(
+      await db.shopOrderLine.count({ where: { order: { shop: SHOP, orderId: { in: orderIds } } } }),
+    ).toBe(0);
+    expect(await db.bundleSale.count({ where: { shop: SHOP, orderId: { in: orderIds } } })).toBe(0);
+    expect(
+      await db.bundleSaleComponent.count({
+        where: { sale: { shop: SHOP, orderId: { in: orderIds } } },
+      }),
+    ).toBe(0);
+    expect(await db.customerDataRequest.count({ where: { shop: SHOP, customerId: "7" } })).toBe(0);
+  });
+
+  it("keeps the shop's other orders and other shops' orders", async () => {
+    const before = await countRows(OTHER_SHOP);
+
+    await redactCustomerOrders(SHOP, [1, 2], 7);
+
+    expect(await countRows(SHOP)).toMatchObject({
+      bundles: 1,
+      orders: 1,
+      orderLines: 1,
+      bundleSales: 1,
+      bundleSaleComponents: 1,
+    });
+    expect(await countRows(OTHER_SHOP)).toEqual(before);
+  });
+});
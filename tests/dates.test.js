@@ -0,0 +1,36 @@
+import { describe, expect, it } from "vitest";
+import { fromWallClock, toZonedDate } from "../app/utils/dates";
+import { fromDateTimeInputValue, toDateTimeInputValue } from "../app/utils/bundleSchedule";
+
+describe("fromWallClock", () => {
+  it("reads a date and time in the time zone", () => {
+    expect(fromWallClock("2026-07-01T09:15", "America/New_York").toISOString()).toBe(
+      "2026-07-01T13:15:00.000Z",
+    );
+    expect(fromWallClock("2026-01-10", "Asia/Kolkata").toISOString()).toBe(
+      "2026-01-09T18:30:00.000Z",
+    );
+  });
+
+  it("reads a time skipped by daylight saving as the same time after it", () => {
+    expect(fromWallClock("2026-03-08T02:30", "America/New_York").toISOString()).toBe(
+      "2026-03-08T07:30:00.000Z",
+    );
+  });
+});
+
+describe("toZonedDate", () => {
+  it("gives the date in the time zone rather than in UTC", () => {
+    expect(toZonedDate("2026-01-09T20:00:00Z", "Asia/Kolkata")).toBe("2026-01-10");
+    expect(toZonedDate("2026-01-10T03:00:00Z", "America/Los_Angeles")).toBe("2026-01-09");
+  });
+});
+
+describe("schedule inputs", () => {
+  it("show and save times in the shop's time zone", () => {
+    const startsAt = fromDateTimeInputValue("2026-11-20T08:00", "Europe/Berlin");
+
+    expect(startsAt).toBe("2026-11-20T07:00:00.000Z");
+    expect(toDateTimeInputValue(startsAt, "Europe/Berlin")).toBe("2026-11-20T08:00");
+  });
+});
@@ -0,0 +1,37 @@
+import { readdirSync, readFileSync, rmSync } from "fs";
+import { join } from "path";
+import { PrismaClient } from "@prisma/client";
+
+const prismaDir = join(__dirname, "..", "prisma");
+
+// Tests use their own database next to the dev one, rebuilt from the
+// migrations, so they never touch the app's data.
+export const TEST_DATABASE_URL = "file:./test.sqlite";
+
+export function createTestDb() {
+  return new PrismaClient({ datasourceUrl: TEST_DATABASE_URL });
+}
+
+// Applies every migration in order to an empty database. The migration
+// files are plain SQL, so they're run statement by statement rather than
+// through the Prisma CLI.
+export async function migrate(db) {
+  rmSync(join(prismaDir, "test.sqlite"), { force: true });
+
+  const migrationsDir = join(prismaDir, "migrations");
+  const migrations = readdirSync(migrationsDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map(({ name }) => name)
+    .sort();
+
+  for (const migration of migrations) {
+    const sql = readFileSync(join(migrationsDir, migration, "migration.sql"), "utf8");
+    const statements = sql
+      .split(/;\s*$/m)
+      .map((statement) => statement.replace(/^--.*$/gm, "").trim())
+      .filter(Boolean);
+    for (const statement of statements) {
+      await db.$executeRawUnsafe(statement);
+    }
+  }
+}
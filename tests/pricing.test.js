@@ -0,0 +1,47 @@
+import { describe, expect, it } from "vitest";
+import { allocateBundlePrice } from "../app/utils/pricing";
+
+// What the cart is charged for one bundle at the allocated unit prices.
+function chargedTotal(components, unitPrices) {
+  const cents = components.reduce(
+    (sum, { quantity }, index) => sum + Math.round(unitPrices[index] * 100) * quantity,
+    0,
+  );
+  return cents / 100;
+}
+
+describe("allocateBundlePrice", () => {
+  it("adds up to the total when rounding each unit price would overshoot it", () => {
+    const components = [
+      { price: 1, quantity: 1 },
+      { price: 1, quantity: 1 },
+      { price: 1, quantity: 1 },
+    ];
+
+    const unitPrices = allocateBundlePrice(components, 2);
+
+    expect(unitPrices).toEqual([0.66, 0.67, 0.67]);
+    expect(chargedTotal(components, unitPrices)).toBe(2);
+  });
+
+  it("puts the remainder on a component bought singly", () => {
+    const components = [
+      { price: 10, quantity: 3 },
+      { price: 5, quantity: 1 },
+    ];
+
+    const unitPrices = allocateBundlePrice(components, 20);
+
+    expect(unitPrices).toEqual([5.71, 2.87]);
+    expect(chargedTotal(components, unitPrices)).toBe(20);
+  });
+
+  it("splits the total in proportion to price", () => {
+    const components = [
+      { price: 100, quantity: 2 },
+      { price: 25.5, quantity: 1 },
+    ];
+
+    expect(allocateBundlePrice(components, 202.95)).toEqual([90, 22.95]);
+  });
+});
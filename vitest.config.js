@@ -0,0 +1,10 @@
+import { defineConfig } from "vitest/config";
+
+// The app's tests run without the Remix plugin vite.config.js adds. They
+// share one SQLite database, so test files run one at a time.
+export default defineConfig({
+  test: {
+    include: ["tests/**/*.test.js"],
+    fileParallelism: false,
+  },
+});